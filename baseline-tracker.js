@@ -0,0 +1,206 @@
+/**
+ * Baseline (tare)
+ * The raw value of the unloaded grip, the zero of the weight formula:
+ *
+ *   Weight = |Baseline - value| * Coef
+ *
+ * The baseline is the mean of the values of a stability window
+ * (config.baselineTimeSetting), accepted only when their standard deviation
+ * stays under config.baselineMaxNoise kg. Isolated spikes (further than 4
+ * MAD from the median of the window) are left out of the mean, a window with
+ * more than 10% of them is not stable. While the grip is unloaded (armed)
+ * the values keep being averaged over windows of the same length, a stable
+ * window away from the first baseline:
+ *   - by at most config.baselineDriftLimit kg --> drift, the baseline follows it
+ *   - by more --> shift, a light load (a hand resting on the grip) looks the
+ *     same as a new zero, so the baseline stays and the shift is reported
+ * A grip set down (values under config.baseline) is re-tared: the baseline is
+ * dropped and taken again from the next stable window.
+ */
+
+// share of outliers a stable window may hold
+const MAX_OUTLIERS = 0.1;
+
+/**
+ * BaselineTracker
+ * @param {Object} options
+ * @param {number=} options.window - ms, stability window, default 3000
+ * @param {number=} options.maxNoise - kg, standard deviation accepted in a window, default 0.2
+ * @param {number=} options.driftLimit - kg, cap of the drift from the first baseline, default 0.3
+ */
+class BaselineTracker {
+  constructor({ window = 3000, maxNoise = 0.2, driftLimit = 0.3 } = {}) {
+    this.window = window;
+    this.maxNoise = maxNoise;
+    this.driftLimit = driftLimit;
+    this.reset();
+  }
+
+  /**
+   * reset
+   * No baseline, a new one is searched
+   */
+  reset() {
+    this.value = undefined;
+    this.initial = undefined;
+    // standard deviation of the window the baseline was taken from, raw
+    this.noise = 0;
+    this.samples = 0;
+    this.outliers = 0;
+    this.shifts = 0;
+    this.retares = 0;
+    // a shift was reported, until a window comes back under driftLimit
+    this.shifted = false;
+    this.clearWindow();
+  }
+
+  clearWindow() {
+    this.values = [];
+    this.start = undefined;
+    this.end = undefined;
+  }
+
+  /**
+   * add
+   * @param {number} value - raw value of a packet
+   * @param {number} t - arrival time, ms
+   */
+  add(value, t) {
+    if (this.start === undefined) this.start = t;
+    this.end = t;
+    this.values.push(value);
+  }
+
+  /**
+   * full
+   * the window lasts config.baselineTimeSetting
+   */
+  get full() {
+    return this.values.length > 1 && this.end - this.start >= this.window;
+  }
+
+  /**
+   * evaluate
+   * Mean and noise of the window without its outliers, the window starts again
+   * @param {number} coef
+   * @returns {{ mean, std, noise, samples, outliers, stable }} std raw, noise kg
+   */
+  evaluate(coef) {
+    const { values } = this;
+    this.clearWindow();
+    if (!values.length) return { mean: undefined, std: 0, noise: 0, samples: 0, outliers: 0, stable: false };
+
+    const center = median(values);
+    const mad = median(values.map((value) => Math.abs(value - center)));
+    // a noise-free grip has no MAD, the accepted noise is the floor
+    const limit = Math.max(4 * 1.4826 * mad, this.maxNoise / coef);
+    const kept = values.filter((value) => Math.abs(value - center) <= limit);
+    const mean = kept.reduce((a, b) => a + b, 0) / kept.length;
+    const std = Math.sqrt(kept.reduce((a, b) => a + (b - mean) * (b - mean), 0) / kept.length);
+    const noise = std * coef;
+    const outliers = values.length - kept.length;
+    return {
+      mean,
+      std,
+      noise,
+      samples: kept.length,
+      outliers,
+      stable: noise <= this.maxNoise && outliers <= values.length * MAX_OUTLIERS,
+    };
+  }
+
+  /**
+   * set
+   * First baseline of the measurement
+   * @param {Object} window - stable result of evaluate()
+   */
+  set({ mean, std, samples, outliers }) {
+    this.value = round(mean);
+    this.initial = this.value;
+    this.noise = std;
+    this.samples = samples;
+    this.outliers = outliers;
+    this.shifts = 0;
+    this.shifted = false;
+  }
+
+  /**
+   * retare
+   * The grip was set down: no baseline until the next stable window,
+   * the re-tares of the measurement are counted
+   */
+  retare() {
+    const retares = this.retares + 1;
+    this.reset();
+    this.retares = retares;
+  }
+
+  /**
+   * track
+   * The grip is unloaded: drift or shift on every stable window
+   * @param {number} coef
+   * @returns {Object|undefined} { type: "drift", previous } when the baseline followed the window,
+   * { type: "shift", offset } the first time a window is further than driftLimit (offset kg from the baseline),
+   * undefined otherwise
+   */
+  track(coef) {
+    if (!this.full) return undefined;
+    const window = this.evaluate(coef);
+    if (!window.stable) return undefined;
+
+    const previous = this.value;
+    const mean = round(window.mean);
+    if (Math.abs(mean - this.initial) * coef > this.driftLimit) {
+      if (this.shifted) return undefined;
+      this.shifted = true;
+      this.shifts++;
+      return { type: "shift", offset: Number((Math.abs(mean - previous) * coef).toFixed(3)) };
+    }
+    this.shifted = false;
+    if (mean === previous) return undefined;
+    this.value = mean;
+    return { type: "drift", previous };
+  }
+
+  /**
+   * stats
+   * saved with the results
+   * @param {number} coef
+   */
+  stats(coef) {
+    if (this.value === undefined) return undefined;
+    const drift = this.value - this.initial;
+    return {
+      value: this.value,
+      samples: this.samples,
+      outliers: this.outliers,
+      noise: Number((this.noise * coef).toFixed(3)),
+      noiseRaw: round(this.noise),
+      drift: Number((drift * coef).toFixed(3)),
+      driftRaw: round(drift),
+      shifts: this.shifts,
+      retares: this.retares,
+    };
+  }
+}
+
+/**
+ * median
+ * @param {number[]} values
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * round
+ * raw values, to the tenth
+ * @param {number} value
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = { BaselineTracker };
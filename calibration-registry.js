@@ -0,0 +1,132 @@
+const fs = require("fs");
+const path = require("path");
+const { log: defaultLog } = require('./logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Real time, replaced by a fake clock in tests
+const systemClock = {
+  now: () => Date.now(),
+};
+
+/**
+ * CalibrationRegistry
+ * Last known-good calibration of every device, keyed by device id (serial
+ * number), saved as a JSON object:
+ *
+ *   { "A12345": { "coef": 0.00125, "date": "2025-01-10T09:00:00.000Z", "operatorId": "OP-7" } }
+ *
+ * A calibration that was not written to the device (config.calibrationWriteCoef
+ * off) also holds the `deviceCoef` the device kept, its `coef` is applied instead.
+ *
+ * The coefficient read at connect time is checked against it: a different
+ * coefficient, or a calibration older than config.calibrationIntervalDays,
+ * is reported as a warning. The first coefficient of a device never
+ * calibrated is recorded as its known-good one, with "source": "first_seen".
+ *
+ * @param {Object} options
+ * @param {String=} options.filePath - config.calibrationRegistryPath
+ * @param {number=} options.intervalDays - validity of a calibration, 0 or missing never expires
+ * @param {Object=} options.clock - now(), for the expiry and the dates of the calibrations
+ * @param {Function=} options.log - log(level, ...args)
+ */
+class CalibrationRegistry {
+  constructor(options = {}) {
+    this.filePath = options.filePath || "./calibration-registry.json";
+    this.intervalDays = options.intervalDays || 0;
+    this.clock = options.clock || systemClock;
+    this.log = options.log || defaultLog;
+    this.entries = {};
+    this._writing = Promise.resolve();
+    this._load();
+  }
+
+  _load() {
+    if (!fs.existsSync(this.filePath)) return;
+    try {
+      this.entries = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } catch (err) {
+      this.log(1, "Invalid calibration registry ignored:", err.message);
+    }
+  }
+
+  /**
+   * get
+   * @param {String} deviceId
+   * @returns {Object|undefined} entry with its expiry
+   */
+  get(deviceId) {
+    const entry = this.entries[deviceId];
+    if (!entry) return undefined;
+    const expiresAt = this.expiresAt(entry);
+    return {
+      deviceId,
+      ...entry,
+      expiresAt,
+      expired: Boolean(expiresAt && this.clock.now() > Date.parse(expiresAt)),
+    };
+  }
+
+  /**
+   * list
+   * every device ever calibrated
+   */
+  list() {
+    return Object.keys(this.entries).map((deviceId) => this.get(deviceId));
+  }
+
+  /**
+   * expiresAt
+   * @param {Object} entry
+   * @returns {String|undefined} ISO date
+   */
+  expiresAt(entry) {
+    if (!this.intervalDays) return undefined;
+    return new Date(Date.parse(entry.date) + this.intervalDays * DAY).toISOString();
+  }
+
+  /**
+   * check
+   * @param {String} deviceId
+   * @param {number} coef - coefficient read from the device
+   * @returns {{ reasons: String[], coef, expectedCoef, calibratedAt, expiresAt, source, appliedCoef }} reasons:
+   * not_calibrated, coef_changed, expired; empty when the calibration is valid. appliedCoef: the coefficient
+   * to use instead of the device one, for a calibration not written to the device
+   */
+  check(deviceId, coef) {
+    const entry = this.get(deviceId);
+    if (!entry) return { reasons: ["not_calibrated"], coef };
+
+    const reasons = [];
+    const expectedCoef = entry.deviceCoef !== undefined ? entry.deviceCoef : entry.coef;
+    if (Math.abs(expectedCoef - coef) > 1e-9) reasons.push("coef_changed");
+    if (entry.expired) reasons.push("expired");
+    return {
+      reasons,
+      coef,
+      expectedCoef,
+      calibratedAt: entry.date,
+      expiresAt: entry.expiresAt,
+      source: entry.source,
+      appliedCoef: entry.deviceCoef !== undefined ? entry.coef : undefined,
+    };
+  }
+
+  /**
+   * record
+   * New known-good calibration
+   * @param {String} deviceId
+   * @param {Object} calibration - coef, date, operatorId, source ("first_seen" when not a calibration),
+   * deviceCoef (coefficient the device kept when coef was not written to it)
+   */
+  record(deviceId, { coef, date, operatorId, source, deviceCoef }) {
+    this.entries[deviceId] = { coef, date, operatorId, source, deviceCoef };
+    const content = JSON.stringify(this.entries, null, 2);
+    const tmpPath = path.join(path.dirname(this.filePath), `.${path.basename(this.filePath)}.tmp`);
+    const write = () => fs.promises.writeFile(tmpPath, content).then(() => fs.promises.rename(tmpPath, this.filePath));
+    this._writing = this._writing.then(write, write);
+    return this._writing;
+  }
+}
+
+module.exports = CalibrationRegistry;
@@ -0,0 +1,157 @@
+const fs = require("fs");
+
+// Real time, replaced by a fake clock in tests
+const systemClock = {
+  now: () => Date.now(),
+};
+
+/**
+ * Calibration
+ * Coefficient calibration with known reference masses. The device computes
+ * Weight = |Baseline - value| * Coef, the baseline being the raw value with
+ * no load, so the coefficient is fitted through the origin on the points
+ * (|zero - raw|, mass) by least squares:
+ *
+ *   coef = sum(delta * mass) / sum(delta^2)
+ *
+ * The residuals are the kg the new coefficient misses on every point.
+ *
+ * @param {Object} options
+ * @param {number=} options.previousCoef - coefficient read from the device
+ * @param {String=} options.operatorId
+ * @param {Object=} options.clock - now(), for the date of the log entry
+ */
+class Calibration {
+  constructor(options = {}) {
+    this.previousCoef = options.previousCoef;
+    this.operatorId = options.operatorId;
+    this.clock = options.clock || systemClock;
+    this.zero = undefined;
+    this.points = [];
+    this.result = undefined;
+    this.samples = undefined;
+  }
+
+  get capturing() {
+    return Boolean(this.samples);
+  }
+
+  /**
+   * startCapture
+   * Raw values are kept until endCapture
+   */
+  startCapture() {
+    this.samples = [];
+  }
+
+  /**
+   * addSample
+   * @param {number} raw - 16-bit value of a packet
+   */
+  addSample(raw) {
+    if (this.samples) this.samples.push(raw);
+  }
+
+  /**
+   * endCapture
+   * Averages the captured values into a point, mass 0 is the zero
+   * @param {number} mass - kg hung on the grip
+   * @returns {{ mass: number, raw: number, sd: number, samples: number }|undefined} undefined without samples
+   */
+  endCapture(mass) {
+    const values = this.samples || [];
+    this.samples = undefined;
+    if (!values.length) return undefined;
+
+    const raw = values.reduce((a, b) => a + b, 0) / values.length;
+    const sd = Math.sqrt(values.reduce((a, b) => a + (b - raw) ** 2, 0) / values.length);
+    const point = { mass, raw: round(raw, 1), sd: round(sd, 1), samples: values.length };
+    if (mass === 0) this.zero = point;
+    else this.points.push(point);
+    this.result = this.fit();
+    return point;
+  }
+
+  /**
+   * fit
+   * @returns {{ coef, r2, maxResidual, residuals }|undefined} undefined until the zero and one loaded point are captured
+   */
+  fit() {
+    const { zero, points } = this;
+    if (!zero || !points.length) return undefined;
+
+    const deltas = points.map((point) => Math.abs(zero.raw - point.raw));
+    const sxy = points.reduce((sum, point, i) => sum + deltas[i] * point.mass, 0);
+    const sxx = deltas.reduce((sum, delta) => sum + delta * delta, 0);
+    if (!sxx) return undefined;
+    const coef = sxy / sxx;
+
+    const residuals = points.map((point, i) => {
+      const predicted = deltas[i] * coef;
+      return { mass: point.mass, raw: point.raw, predicted: round(predicted, 3), residual: round(predicted - point.mass, 3) };
+    });
+    const meanMass = points.reduce((sum, point) => sum + point.mass, 0) / points.length;
+    const ssRes = residuals.reduce((sum, r) => sum + r.residual ** 2, 0);
+    const ssTot = points.reduce((sum, point) => sum + (point.mass - meanMass) ** 2, 0);
+
+    return {
+      coef: round(coef, 6),
+      r2: ssTot ? round(1 - ssRes / ssTot, 4) : null,
+      maxResidual: Math.max(...residuals.map((r) => Math.abs(r.residual))),
+      residuals,
+    };
+  }
+
+  /**
+   * entry
+   * Calibration log entry
+   * @param {String} deviceId
+   */
+  entry(deviceId) {
+    return {
+      date: new Date(this.clock.now()).toISOString(),
+      deviceId,
+      operatorId: this.operatorId,
+      previousCoef: this.previousCoef,
+      coef: this.result.coef,
+      zero: this.zero,
+      points: this.points,
+      r2: this.result.r2,
+      maxResidual: this.result.maxResidual,
+      residuals: this.result.residuals,
+    };
+  }
+}
+
+/**
+ * coefDigits
+ * SetCoef payload: 6 ASCII digits, coef * 1000000, like the GetCoef reply.
+ * Not confirmed on a real KForceGrip, only sent with config.calibrationWriteCoef
+ * @param {number} coef
+ * @returns {String|undefined} undefined when the coefficient does not fit in 6 digits
+ */
+function coefDigits(coef) {
+  const value = Math.round(coef * 1000000);
+  if (!(value > 0 && value <= 999999)) return undefined;
+  return String(value).padStart(6, "0");
+}
+
+/**
+ * appendLog
+ * @param {String} filePath - config.calibrationLogPath, JSON lines
+ * @param {Object} entry
+ */
+function appendLog(filePath, entry) {
+  return fs.promises.appendFile(filePath, JSON.stringify(entry) + "\n");
+}
+
+/**
+ * round
+ * @param {number} value
+ * @param {number} digits
+ */
+function round(value, digits) {
+  return Number(value.toFixed(digits));
+}
+
+module.exports = { Calibration, coefDigits, appendLog };
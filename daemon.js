@@ -0,0 +1,69 @@
+const path = require('path');
+const fs = require("fs");
+const { setupLogger, log } = require('./logger');
+const { createPlugin } = require('./plugin');
+
+/**
+ * Headless daemon
+ * Runs discovery, measurement and the ZeroMQ protocol as a plain Node
+ * service, without Electron and without the gauge window.
+ *
+ * Usage: node daemon.js [--config <file>]
+ * config.json and temp.json are searched in KGRIP_HOME, the working
+ * directory and the daemon directory, in this order.
+ */
+
+/**
+ * loadFile
+ * @param {String} file
+ * @param {String=} explicitPath
+ */
+function loadFile(file, explicitPath) {
+  const candidates = explicitPath
+    ? [path.resolve(explicitPath)]
+    : [process.env.KGRIP_HOME, process.cwd(), __dirname]
+        .filter(Boolean)
+        .map((dir) => path.join(dir, file));
+  try {
+    const found = candidates.find((candidate) => fs.existsSync(candidate));
+    if (!found) {
+      console.log(`${file} not found in ${candidates.join(", ")}`);
+      return {};
+    }
+    console.log(`Loading ${file} from ${found}`);
+    return JSON.parse(fs.readFileSync(found, 'utf8'));
+  } catch (err) {
+    console.error(`Failed to load ${file}: `, err);
+    return {};
+  }
+}
+
+const configArg = process.argv.indexOf('--config');
+const config = loadFile('config.json', configArg !== -1 ? process.argv[configArg + 1] : undefined);
+
+if (!config.socket) {
+  console.error("config.socket is missing, cannot start the daemon");
+  process.exit(1);
+}
+
+const tempFile = loadFile('temp.json');
+
+setupLogger(config);
+
+const { manager, zmqServer } = createPlugin({ config, tempFile, log });
+
+zmqServer.start();
+log(3, "KGrip daemon started, headless mode");
+
+function shutdown(signal) {
+  log(3, `${signal} received, stopping`);
+  manager.close();
+  // leave time to the DeviceOff command and to the port close
+  setTimeout(() => {
+    zmqServer.close();
+    process.exit(0);
+  }, 1000);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,207 @@
+const { EventEmitter } = require('events');
+const { log: defaultLog } = require('./logger');
+const { MeasurementSession } = require('./measurement-session');
+const { DeviceWatcher, deviceIdOf } = require('./device-watcher');
+const { IDLE } = require('./measurement-state');
+
+// Commands opening a new session on the device
+const startCommands = ["measureStart", "protocolStart", "calibrationStart"];
+
+/**
+ * DeviceManager
+ * One MeasurementSession per grip, keyed by device id (serial number, or
+ * path when the device has none), so two grips can be measured at once.
+ * Every session message is re-emitted as 'message', tagged with its deviceId,
+ * and every session result as 'result'. The grips plugged in or unplugged are
+ * sent as device_attached / device_detached, with or without a session.
+ *
+ * @param {Object} options
+ * @param {Object} options.config - config.json content
+ * @param {*} options.Port - serial port implementation (SerialPort or KGripSimulator)
+ * @param {Object=} options.clock
+ * @param {Function=} options.log
+ * @param {Object=} options.tempFile - initial temp.json content
+ * @param {CalibrationRegistry=} options.calibrations
+ * @param {NormativeData=} options.normative
+ * @param {DeviceWatcher=} options.watcher - created on Port and started when missing, stopped by close()
+ */
+class DeviceManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.config = options.config;
+    this.Port = options.Port;
+    this.clock = options.clock;
+    this.log = options.log || defaultLog;
+    this.tempFile = options.tempFile;
+    this.calibrations = options.calibrations;
+    this.normative = options.normative;
+    this.watcher = options.watcher || new DeviceWatcher({ config: this.config, Port: this.Port, clock: this.clock, log: this.log });
+    this.sessions = [];
+
+    this.watcher.on('attached', (device) => this.emitMessage({ message: "device_attached", ...describeDevice(device) }));
+    this.watcher.on('detached', (device) => this.emitMessage({ message: "device_detached", ...describeDevice(device) }));
+    // an injected watcher is started by its owner
+    if (!options.watcher) this.watcher.start();
+  }
+
+  /**
+   * state
+   * State of the first session, kept for the single-device front-ends
+   */
+  get state() {
+    return this.sessions.length ? this.sessions[0].state : IDLE;
+  }
+
+  /**
+   * createSession
+   * @param {String=} deviceId - unbound sessions take the first free matching device
+   */
+  createSession(deviceId) {
+    const { config, Port, clock, log, calibrations, normative, watcher } = this;
+    const session = new MeasurementSession({
+      config,
+      Port,
+      clock,
+      log,
+      deviceId,
+      calibrations,
+      normative,
+      watcher,
+      tempFile: this.sessions.length ? undefined : this.tempFile,
+      isAvailable: (device) => this.isAvailable(device, session),
+    });
+    session.on('message', (payload) => {
+      if (payload.message === "device_found") this.dropDuplicates(session);
+      this.emit('message', payload);
+    });
+    session.on('result', (record) => this.emit('result', record));
+    this.sessions.push(session);
+    return session;
+  }
+
+  /**
+   * find
+   * @param {String} deviceId
+   */
+  find(deviceId) {
+    return this.sessions.find((session) => session.deviceId === deviceId);
+  }
+
+  /**
+   * isAvailable
+   * A device is free unless another session is using it
+   * @param {Object} device - entry of Port.list()
+   * @param {MeasurementSession} session - the session asking
+   */
+  isAvailable(device, session) {
+    const id = deviceIdOf(device);
+    return !this.sessions.some((other) => other !== session && other.deviceId === id && !other.fsm.is(IDLE));
+  }
+
+  /**
+   * dropDuplicates
+   * An unbound session just found its device: idle sessions on the same device are not needed anymore
+   * @param {MeasurementSession} session
+   */
+  dropDuplicates(session) {
+    this.sessions = this.sessions.filter((other) => (
+      other === session || other.deviceId !== session.deviceId || !other.fsm.is(IDLE)
+    ));
+  }
+
+  /**
+   * resolve
+   * Sessions targeted by a command
+   * @param {String} cmd
+   * @param {String|String[]=} deviceId - one id, a list, or "all" / omitted for every device; a start
+   * command creates the sessions of the devices seen by the watcher (plugged in now or before)
+   * @returns {Promise<{ sessions: MeasurementSession[], unknown: String[] }>}
+   */
+  async resolve(cmd, deviceId) {
+    const all = deviceId === undefined || deviceId === "all";
+
+    if (!all) {
+      const ids = [].concat(deviceId).map(String);
+      const sessions = [];
+      const unknown = [];
+      // new sessions only for the grips the watcher has seen, any other id is unknown
+      if (startCommands.includes(cmd)) await this.watcher.ready;
+      ids.forEach((id) => {
+        let session = this.find(id);
+        if (!session && startCommands.includes(cmd) && this.watcher.knows(id)) session = this.createSession(id);
+        if (session) sessions.push(session);
+        else unknown.push(id);
+      });
+      return { sessions, unknown };
+    }
+
+    if (!startCommands.includes(cmd)) return { sessions: [...this.sessions], unknown: [] };
+
+    // measureStart / protocolStart / calibrationStart on every device: one session per grip plugged in,
+    // or a single unbound session waiting for the first one to show up
+    this.sessions = this.sessions.filter((session) => session.deviceId || !session.fsm.is(IDLE));
+    await this.watcher.ready;
+    const devices = this.watcher.list();
+    const sessions = devices.map((device) => this.find(deviceIdOf(device)) || this.createSession(deviceIdOf(device)));
+    if (!sessions.length) sessions.push(this.sessions.find((session) => !session.deviceId) || this.createSession());
+    return { sessions, unknown: [] };
+  }
+
+  /**
+   * emitMessage
+   * Messages that do not belong to a device (gauge, info)
+   * @param {*} payload
+   */
+  emitMessage(payload) {
+    this.emit('message', payload);
+  }
+
+  /**
+   * stopAll
+   */
+  stopAll() {
+    this.sessions.forEach((session) => session.stop());
+  }
+
+  /**
+   * close
+   * stops every session and the device watcher
+   */
+  close() {
+    this.stopAll();
+    this.watcher.stop();
+  }
+
+  /**
+   * devicesInfo
+   */
+  devicesInfo() {
+    return this.sessions.map((session) => session.deviceInfo());
+  }
+
+  /**
+   * attachedInfo
+   * grips plugged in, with or without a session
+   */
+  attachedInfo() {
+    return this.watcher.list().map(describeDevice);
+  }
+}
+
+/**
+ * describeDevice
+ * device_attached / device_detached payload
+ * @param {Object} device - entry of Port.list()
+ */
+function describeDevice(device) {
+  return {
+    deviceId: deviceIdOf(device),
+    path: device.path,
+    manufacturer: device.manufacturer,
+    serialNumber: device.serialNumber,
+    vendorId: device.vendorId,
+    productId: device.productId,
+  };
+}
+
+module.exports = DeviceManager;
@@ -0,0 +1,83 @@
+/**
+ * Device matching rules
+ *
+ * config.match is an ordered list of rules, a rule is a set of fields of the
+ * SerialPort.list() entries, every field of a rule must match:
+ *
+ *   "match": [
+ *     { "serialNumber": "A12345" },
+ *     { "vendorId": "1a86", "productId": "7523", "manufacturer": "/wch|QinHeng/i" },
+ *     { "locationId": "14200000" },
+ *     { "path": "/dev/ttyUSB0" }
+ *   ]
+ *
+ * A value between slashes is a regular expression, any other value is
+ * compared as a string, ignoring the case ("1A86" matches "1a86"). A device
+ * matching several rules ranks by the first one, the sessions take the best
+ * ranked devices first.
+ *
+ * Without config.match the rule is { vendorId, productId } of config.json.
+ * config.pinSerialNumber (a serial number or a list) keeps only those grips,
+ * whatever the rules.
+ */
+
+const REGEX = /^\/(.+)\/([a-z]*)$/;
+
+/**
+ * compileValue
+ * @param {String} field
+ * @param {*} value - string, number or "/regex/flags"
+ * @returns {Function} (actual) => boolean
+ */
+function compileValue(field, value) {
+  const regex = typeof value === "string" && value.match(REGEX);
+  if (regex) {
+    let pattern;
+    try {
+      pattern = new RegExp(regex[1], regex[2]);
+    } catch (err) {
+      throw new Error(`Invalid match rule for ${field}: ${err.message}`);
+    }
+    return (actual) => actual !== undefined && actual !== null && pattern.test(String(actual));
+  }
+  const expected = String(value).toLowerCase();
+  return (actual) => actual !== undefined && actual !== null && String(actual).toLowerCase() === expected;
+}
+
+/**
+ * compileRule
+ * @param {Object} rule - field --> value
+ * @returns {Function} (device) => boolean
+ */
+function compileRule(rule) {
+  const fields = Object.keys(rule || {});
+  if (!fields.length) throw new Error("Empty match rule");
+  const tests = fields.map((field) => ({ field, test: compileValue(field, rule[field]) }));
+  return (device) => tests.every(({ field, test }) => test(device[field]));
+}
+
+/**
+ * rulesOf
+ * @param {Object} config - config.json content
+ * @returns {Object[]} config.match, or the legacy vendorId / productId rule
+ */
+function rulesOf(config) {
+  if (Array.isArray(config.match) && config.match.length) return config.match;
+  return [{ vendorId: config.vendorId, productId: config.productId }];
+}
+
+/**
+ * createMatcher
+ * @param {Object} config - config.json content
+ * @returns {Function} (device) => rank, index of the first matching rule, -1 when none matches
+ */
+function createMatcher(config) {
+  const rules = rulesOf(config).map(compileRule);
+  const pinned = [].concat(config.pinSerialNumber || []).map((serialNumber) => String(serialNumber).toLowerCase());
+  return (device) => {
+    if (pinned.length && !pinned.includes(String(device.serialNumber).toLowerCase())) return -1;
+    return rules.findIndex((rule) => rule(device));
+  };
+}
+
+module.exports = { createMatcher, rulesOf };
@@ -0,0 +1,198 @@
+const { EventEmitter } = require('events');
+const { log: defaultLog } = require('./logger');
+const { createMatcher } = require('./device-match');
+
+// Real timers, replaced by a fake clock in tests
+const systemClock = {
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (timer) => clearInterval(timer),
+  now: () => Date.now(),
+};
+
+/**
+ * DeviceWatcher
+ * Keeps the list of the grips plugged in, for every session, from the plugin
+ * start on. Port.list() is read again on every USB hot-plug event, and every
+ * config.watchInterval ms as a safety net (every second without hot-plug
+ * events). Only the devices matching the config rules are kept (see
+ * device-match.js), best ranked first. The list is diffed by device id
+ * (serial number, or path).
+ *
+ * Events:
+ *   'attached'  --> device, a grip was plugged in
+ *   'detached'  --> device, a grip was unplugged (last known entry)
+ *   'devices'   --> devices, after every scan
+ *   'scanError' --> error, Port.list() failed
+ *
+ * @param {Object} options
+ * @param {Object} options.config - config.json content
+ * @param {*} options.Port - serial port implementation (SerialPort or KGripSimulator)
+ * @param {EventEmitter=} options.hotplug - emits 'attach' / 'detach' on USB changes (usb package, simulator)
+ * @param {Object=} options.clock
+ * @param {Function=} options.log
+ */
+class DeviceWatcher extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.config = options.config || {};
+    this.Port = options.Port;
+    this.hotplug = options.hotplug;
+    this.clock = options.clock || systemClock;
+    this.log = options.log || defaultLog;
+    this.interval = this.config.watchInterval || (this.hotplug ? 5000 : 1000);
+    // (device) => index of the first matching rule, -1 for the other devices
+    this.rank = createMatcher(this.config);
+
+    // device id --> Port.list() entry, plugged in now
+    this.attached = new Map();
+    // device id --> last entry seen, with lastSeen, kept after the detach
+    this.known = new Map();
+    this.timer = undefined;
+    this.settleTimer = undefined;
+    this.scanning = undefined;
+    this.onAttach = () => this.scheduleScan();
+    // a removed port is gone at once, no cached entry should outlive it
+    this.onDetach = () => this.scan();
+    // resolved after the first scan, even a failed one
+    this.ready = new Promise((resolve) => {
+      this.once('devices', resolve);
+      this.once('scanError', resolve);
+    });
+  }
+
+  /**
+   * start
+   * First scan now, then on hot-plug events and every this.interval ms
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = this.clock.setInterval(() => this.scan(), this.interval);
+    if (this.hotplug) {
+      this.hotplug.on('attach', this.onAttach);
+      this.hotplug.on('detach', this.onDetach);
+    }
+    this.scan();
+  }
+
+  /**
+   * stop
+   */
+  stop() {
+    if (!this.timer) return;
+    this.clock.clearInterval(this.timer);
+    this.timer = undefined;
+    if (this.settleTimer) this.clock.clearTimeout(this.settleTimer);
+    this.settleTimer = undefined;
+    if (this.hotplug) {
+      this.hotplug.removeListener('attach', this.onAttach);
+      this.hotplug.removeListener('detach', this.onDetach);
+    }
+  }
+
+  /**
+   * scheduleScan
+   * The serial port shows up a moment after the USB device, config.hotplugSettle ms
+   */
+  scheduleScan() {
+    if (this.settleTimer) return;
+    this.settleTimer = this.clock.setTimeout(() => {
+      this.settleTimer = undefined;
+      this.scan();
+    }, this.config.hotplugSettle || 300);
+  }
+
+  /**
+   * matches
+   * A KGrip, by the config match rules
+   * @param {Object} device - entry of Port.list()
+   */
+  matches(device) {
+    return this.rank(device) !== -1;
+  }
+
+  /**
+   * scan
+   * Reads Port.list() and emits the changes, a scan in progress is shared
+   * @returns {Promise<Object[]>} the grips plugged in
+   */
+  scan() {
+    if (this.scanning) return this.scanning;
+    this.scanning = this.Port.list()
+      .then((data) => {
+        this.scanning = undefined;
+        this.update(data.filter((device) => this.matches(device)));
+        return this.list();
+      })
+      .catch((error) => {
+        this.scanning = undefined;
+        this.log(1, error);
+        this.emit('scanError', error);
+        return this.list();
+      });
+    return this.scanning;
+  }
+
+  /**
+   * update
+   * @param {Object[]} devices - grips of the last Port.list()
+   */
+  update(devices) {
+    const now = new Date(this.clock.now()).toISOString();
+    const current = new Map(devices.map((device) => [deviceIdOf(device), device]));
+
+    this.attached.forEach((device, id) => {
+      if (current.has(id) && current.get(id).path === device.path) return;
+      this.attached.delete(id);
+      this.log(3, "Device detached:", id, device.path);
+      this.emit('detached', device);
+    });
+    current.forEach((device, id) => {
+      this.known.set(id, { ...device, lastSeen: now });
+      if (this.attached.has(id)) return;
+      this.attached.set(id, device);
+      this.log(3, "Device attached:", id, device.path);
+      this.emit('attached', device);
+    });
+    this.emit('devices', this.list());
+  }
+
+  /**
+   * list
+   * grips plugged in, as of the last scan, by rule order
+   */
+  list() {
+    return [...this.attached.values()].sort((a, b) => this.rank(a) - this.rank(b));
+  }
+
+  /**
+   * knows
+   * @param {String} deviceId
+   * @returns {boolean} the device was seen by a scan, plugged in now or not
+   */
+  knows(deviceId) {
+    return this.known.has(deviceId);
+  }
+
+  /**
+   * lastPath
+   * @param {String} deviceId
+   * @returns {String|undefined} path the device was last seen on
+   */
+  lastPath(deviceId) {
+    const device = this.known.get(deviceId);
+    return device && device.path;
+  }
+}
+
+/**
+ * deviceIdOf
+ * Devices are identified by serial number, by path when the serial number is missing
+ * @param {Object} device - entry of SerialPort.list()
+ */
+function deviceIdOf(device) {
+  return device.serialNumber || device.path;
+}
+
+module.exports = { DeviceWatcher, deviceIdOf };
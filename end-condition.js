@@ -0,0 +1,96 @@
+/**
+ * Measurement end
+ * How a measurement started by the trigger ends, from config.end, overridden
+ * by the inputData.end of measureStart / protocolStart / measureSamplingOn
+ * (or the end of a config.protocols definition):
+ *
+ *   "end": { "mode": "release", "releaseThreshold": 1, "releaseTime": 300, "maxDuration": 10000 }
+ *
+ * duration --> after `duration` ms (default config.duration), the former behaviour
+ * release  --> the force stayed under `releaseThreshold` kg (default config.trigger) for `releaseTime` ms
+ * decline  --> the force stayed `decline` % under the peak for `declineTime` ms, so a
+ *              dip right after the trigger or a short slip of the hand does not end it
+ * release and decline stop after `maxDuration` ms at most.
+ */
+
+const END_MODES = ["duration", "release", "decline"];
+
+/**
+ * resolveEnd
+ * @param {Object} config - config.json content
+ * @param {Object=} end - inputData.end, over config.end
+ * @returns {Object} { mode, duration, releaseThreshold, releaseTime, decline, declineTime, maxDuration }
+ */
+function resolveEnd(config, end) {
+  const options = {
+    mode: "duration",
+    duration: config.duration || 5000,
+    releaseThreshold: config.trigger,
+    releaseTime: 300,
+    decline: 30,
+    declineTime: 300,
+    maxDuration: 10000,
+    ...config.end,
+    ...end,
+  };
+  if (!END_MODES.includes(options.mode)) throw new Error(`Unknown end mode ${options.mode}`);
+  ["duration", "releaseTime", "declineTime", "maxDuration"].forEach((key) => {
+    if (!(options[key] > 0)) throw new Error(`end: ${key} must be > 0`);
+  });
+  if (!(options.releaseThreshold >= 0)) throw new Error("end: releaseThreshold must be >= 0");
+  if (!(options.decline > 0 && options.decline < 100)) throw new Error("end: decline must be between 0 and 100");
+  return options;
+}
+
+/**
+ * EndDetector
+ * Follows the weights of a measurement, sample by sample
+ * @param {Object} options - resolveEnd() result
+ */
+class EndDetector {
+  constructor(options) {
+    this.options = options;
+    this.reset();
+  }
+
+  reset() {
+    this.peak = 0;
+    // first sample of the release / decline in progress
+    this.releasedAt = undefined;
+    this.declinedAt = undefined;
+  }
+
+  /**
+   * timer
+   * the measurement timer, config.duration or the maxDuration cap
+   * @returns {{ ms, reason }}
+   */
+  timer() {
+    const { mode, duration, maxDuration } = this.options;
+    return mode === "duration" ? { ms: duration, reason: "duration" } : { ms: maxDuration, reason: "maxDuration" };
+  }
+
+  /**
+   * update
+   * @param {number} t - ms from the measurement start
+   * @param {number} kg - weight of the packet
+   * @returns {String|undefined} reason the measurement ends: release or decline
+   */
+  update(t, kg) {
+    const { mode, releaseThreshold, releaseTime, decline, declineTime } = this.options;
+    if (kg > this.peak) this.peak = kg;
+
+    if (mode === "release") {
+      if (kg >= releaseThreshold) this.releasedAt = undefined;
+      else if (this.releasedAt === undefined) this.releasedAt = t;
+      if (this.releasedAt !== undefined && t - this.releasedAt >= releaseTime) return "release";
+    } else if (mode === "decline") {
+      if (kg > this.peak * (1 - decline / 100)) this.declinedAt = undefined;
+      else if (this.declinedAt === undefined) this.declinedAt = t;
+      if (this.declinedAt !== undefined && t - this.declinedAt >= declineTime) return "decline";
+    }
+    return undefined;
+  }
+}
+
+module.exports = { resolveEnd, EndDetector, END_MODES };
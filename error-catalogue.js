@@ -0,0 +1,84 @@
+/**
+ * Error catalogue
+ * Codes sent to the POD in the `error` outputData message and in the nack
+ * replies. Clients can rely on them:
+ * - a code is never reused or renumbered
+ * - new codes bump the minor version, a changed meaning bumps the major version
+ */
+const ERROR_CATALOGUE_VERSION = "1.8.0";
+
+const TEMP_FILE_ERROR       = 1;
+const NO_DEVICE_FOUND       = 2;
+const DEVICE_ERROR          = 3;
+const CHECKSUM_ERROR        = 4;
+const PLUGIN_ERROR          = 5;
+const TIMEOUT               = 6;
+const INVALID_DATA          = 7;
+const COMMAND_NOT_ALLOWED   = 8;
+const UNKNOWN_COMMAND       = 9;
+const INVALID_MESSAGE       = 10;
+const UNKNOWN_DEVICE        = 11;
+const RECORD_NOT_FOUND      = 12;
+const HISTORY_ERROR         = 13;
+const EXPORT_ERROR          = 14;
+const UNKNOWN_PROTOCOL      = 15;
+const CALIBRATION_ERROR     = 16;
+const CALIBRATION_EXPIRED   = 17;
+const DEVICE_LOST           = 18;
+
+const errorCatalogue = new Map([
+  [TEMP_FILE_ERROR,     { name: "TEMP_FILE_ERROR",     message: "Error on temp.json file" }],
+  [NO_DEVICE_FOUND,     { name: "NO_DEVICE_FOUND",     message: "No device Found" }],
+  [DEVICE_ERROR,        { name: "DEVICE_ERROR",        message: "Generic Error on device" }],
+  [CHECKSUM_ERROR,      { name: "CHECKSUM_ERROR",      message: "CK Error" }],
+  [PLUGIN_ERROR,        { name: "PLUGIN_ERROR",        message: "Generic Error on plugin" }],
+  [TIMEOUT,             { name: "TIMEOUT",             message: "Timeout, check if the device is connected and retry" }],
+  [INVALID_DATA,        { name: "INVALID_DATA",        message: "No data or invalid data" }],
+  [COMMAND_NOT_ALLOWED, { name: "COMMAND_NOT_ALLOWED", message: "Command not allowed in the current state" }],
+  [UNKNOWN_COMMAND,     { name: "UNKNOWN_COMMAND",     message: "Unknown command" }],
+  [INVALID_MESSAGE,     { name: "INVALID_MESSAGE",     message: "Invalid message" }],
+  [UNKNOWN_DEVICE,      { name: "UNKNOWN_DEVICE",      message: "Unknown device" }],
+  [RECORD_NOT_FOUND,    { name: "RECORD_NOT_FOUND",    message: "Measurement not found in the history" }],
+  [HISTORY_ERROR,       { name: "HISTORY_ERROR",       message: "Error on the measurement history" }],
+  [EXPORT_ERROR,        { name: "EXPORT_ERROR",        message: "Error exporting the measurement" }],
+  [UNKNOWN_PROTOCOL,    { name: "UNKNOWN_PROTOCOL",    message: "Unknown measurement protocol" }],
+  [CALIBRATION_ERROR,   { name: "CALIBRATION_ERROR",   message: "Calibration error" }],
+  [CALIBRATION_EXPIRED, { name: "CALIBRATION_EXPIRED", message: "No valid calibration, recalibrate the device" }],
+  [DEVICE_LOST,         { name: "DEVICE_LOST",         message: "Device lost, check the USB cable" }],
+]);
+
+/**
+ * describeError
+ * @param {number} code
+ * @param {String=} errorMessage - used for codes outside the catalogue
+ * @returns {{ code: number, name: String, message: String }}
+ */
+function describeError(code, errorMessage) {
+  const entry = errorCatalogue.get(code);
+  if (!entry) return { code, name: "UNCATALOGUED", message: errorMessage || "Unknown error" };
+  return { code, name: entry.name, message: errorMessage || entry.message };
+}
+
+module.exports = {
+  ERROR_CATALOGUE_VERSION,
+  errorCatalogue,
+  describeError,
+  TEMP_FILE_ERROR,
+  NO_DEVICE_FOUND,
+  DEVICE_ERROR,
+  CHECKSUM_ERROR,
+  PLUGIN_ERROR,
+  TIMEOUT,
+  INVALID_DATA,
+  COMMAND_NOT_ALLOWED,
+  UNKNOWN_COMMAND,
+  INVALID_MESSAGE,
+  UNKNOWN_DEVICE,
+  RECORD_NOT_FOUND,
+  HISTORY_ERROR,
+  EXPORT_ERROR,
+  UNKNOWN_PROTOCOL,
+  CALIBRATION_ERROR,
+  CALIBRATION_EXPIRED,
+  DEVICE_LOST,
+};
@@ -0,0 +1,211 @@
+/**
+ * Force filters
+ * Optional stage between the weights computed from the packets and the
+ * gauge / results, defined in config.filters and applied in order:
+ *
+ *   "filters": [
+ *     { "type": "spike", "threshold": 5, "window": 5 },
+ *     { "type": "median", "window": 5 },
+ *     { "type": "movingAverage", "window": 4 },
+ *     { "type": "butterworth", "cutoff": 10, "sampleRate": 100 }
+ *   ]
+ *
+ * Every filter is causal (sample by sample, no look-ahead) and works in kg.
+ * The filters start again from scratch on every measurement (reset).
+ */
+
+/**
+ * MovingAverage
+ * Mean of the last `window` samples
+ * @param {Object} options
+ * @param {number=} options.window - samples, default 5
+ */
+class MovingAverage {
+  constructor({ window = 5 } = {}) {
+    if (!(window >= 1)) throw new Error("movingAverage: window must be >= 1");
+    this.window = Math.round(window);
+    this.reset();
+  }
+
+  reset() {
+    this.values = [];
+    this.sum = 0;
+  }
+
+  process(x) {
+    this.values.push(x);
+    this.sum += x;
+    if (this.values.length > this.window) this.sum -= this.values.shift();
+    return this.sum / this.values.length;
+  }
+}
+
+/**
+ * Median
+ * Median of the last `window` samples
+ * @param {Object} options
+ * @param {number=} options.window - samples, default 5
+ */
+class Median {
+  constructor({ window = 5 } = {}) {
+    if (!(window >= 1)) throw new Error("median: window must be >= 1");
+    this.window = Math.round(window);
+    this.reset();
+  }
+
+  reset() {
+    this.values = [];
+  }
+
+  process(x) {
+    this.values.push(x);
+    if (this.values.length > this.window) this.values.shift();
+    return median(this.values);
+  }
+}
+
+/**
+ * Butterworth
+ * 2nd order low-pass, bilinear transform with prewarping, starts settled
+ * on the first sample
+ * @param {Object} options
+ * @param {number} options.cutoff - Hz
+ * @param {number=} options.sampleRate - Hz, default 100 (a packet every 10 ms)
+ */
+class Butterworth {
+  constructor({ cutoff, sampleRate = 100 } = {}) {
+    if (!(cutoff > 0 && cutoff < sampleRate / 2)) {
+      throw new Error("butterworth: cutoff must be between 0 and sampleRate / 2");
+    }
+    const k = Math.tan((Math.PI * cutoff) / sampleRate);
+    const norm = 1 / (1 + Math.SQRT2 * k + k * k);
+    this.b0 = k * k * norm;
+    this.b1 = 2 * this.b0;
+    this.b2 = this.b0;
+    this.a1 = 2 * (k * k - 1) * norm;
+    this.a2 = (1 - Math.SQRT2 * k + k * k) * norm;
+    this.reset();
+  }
+
+  reset() {
+    this.x1 = this.x2 = this.y1 = this.y2 = undefined;
+  }
+
+  process(x) {
+    if (this.x1 === undefined) this.x1 = this.x2 = this.y1 = this.y2 = x;
+    const y = this.b0 * x + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+    this.x2 = this.x1;
+    this.x1 = x;
+    this.y2 = this.y1;
+    this.y1 = y;
+    return y;
+  }
+}
+
+/**
+ * SpikeRejection
+ * A sample further than `threshold` kg from the median of the last accepted
+ * ones is replaced by that median. After `window` rejections in a row the
+ * force really moved, the sample is accepted and becomes the new reference.
+ * @param {Object} options
+ * @param {number=} options.threshold - kg, default 5
+ * @param {number=} options.window - samples, default 5
+ */
+class SpikeRejection {
+  constructor({ threshold = 5, window = 5 } = {}) {
+    if (!(threshold > 0)) throw new Error("spike: threshold must be > 0");
+    if (!(window >= 1)) throw new Error("spike: window must be >= 1");
+    this.threshold = threshold;
+    this.window = Math.round(window);
+    this.reset();
+  }
+
+  reset() {
+    this.values = [];
+    this.inRow = 0;
+    // rejected samples of the measurement
+    this.rejected = 0;
+  }
+
+  process(x) {
+    if (this.values.length) {
+      const reference = median(this.values);
+      if (Math.abs(x - reference) > this.threshold) {
+        if (this.inRow < this.window) {
+          this.inRow++;
+          this.rejected++;
+          return reference;
+        }
+        // the force really moved: start again from this level
+        this.values = [];
+      }
+    }
+    this.inRow = 0;
+    this.values.push(x);
+    if (this.values.length > this.window) this.values.shift();
+    return x;
+  }
+}
+
+const filterTypes = {
+  movingAverage: MovingAverage,
+  median: Median,
+  butterworth: Butterworth,
+  spike: SpikeRejection,
+};
+
+/**
+ * FilterChain
+ * The config.filters in order
+ * @param {Object[]=} definitions - { type, ...options }
+ */
+class FilterChain {
+  constructor(definitions) {
+    this.definitions = definitions || [];
+    this.filters = this.definitions.map((definition) => {
+      const Filter = filterTypes[definition.type];
+      if (!Filter) throw new Error(`Unknown filter ${definition.type}`);
+      return new Filter(definition);
+    });
+  }
+
+  get active() {
+    return this.filters.length > 0;
+  }
+
+  reset() {
+    this.filters.forEach((filter) => filter.reset());
+  }
+
+  /**
+   * process
+   * @param {number} kg - weight of a packet
+   * @returns {number} filtered weight
+   */
+  process(kg) {
+    return this.filters.reduce((x, filter) => filter.process(x), kg);
+  }
+
+  /**
+   * describe
+   * the filters and their counters, saved with the results
+   */
+  describe() {
+    return this.definitions.map((definition, i) => {
+      const filter = this.filters[i];
+      return filter instanceof SpikeRejection ? { ...definition, rejected: filter.rejected } : { ...definition };
+    });
+  }
+}
+
+/**
+ * median
+ * @param {number[]} values
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+module.exports = { FilterChain, filterTypes, MovingAverage, Median, Butterworth, SpikeRejection };
@@ -20,6 +20,26 @@ class GaugeSegmented {
     // Segment configuration
     this.numSegments = 20 // Fewer, larger segments like the image
     this.segmentGap = 0.05; // Larger gap between segments for clear separation
+
+    // Text under the value (trial, rest countdown, ...)
+    this.caption = "";
+
+    // Target band of the endurance / repeated tests, in the value range
+    this.band = undefined;
+  }
+
+  // Set the text shown under the value, empty to hide it
+  setCaption(text) {
+    this.caption = text || "";
+  }
+
+  // Draw a target band outside the segments, from low to high (same range as setValue)
+  setTargetBand(low, high) {
+    this.band = { low: this.rawToPercent(low), high: this.rawToPercent(high) };
+  }
+
+  clearTargetBand() {
+    this.band = undefined;
   }
 
   // Update the target value (in your device's range: 0-60)
@@ -124,6 +144,8 @@ class GaugeSegmented {
     // Reset alpha
     ctx.globalAlpha = 1.0;
 
+    if (this.band) this.drawTargetBand(startAngle, totalAngle);
+
     // Draw tick marks
     //  this.drawTicks();
 
@@ -144,6 +166,12 @@ class GaugeSegmented {
       this.centerY + 110,
     );
 
+    if (this.caption) {
+      ctx.font = "28px Open Sans";
+      ctx.fillStyle = "#ffffff";
+      ctx.fillText(this.caption, this.centerX, this.centerY + 170);
+    }
+
     // Draw label with range
     // ctx.font = "16px Arial";
     // ctx.fillStyle = "#888888";
@@ -157,6 +185,22 @@ class GaugeSegmented {
     this.drawTeardropNeedle();
   }
 
+  // Draw the target band, green while the value is inside it
+  drawTargetBand(startAngle, totalAngle) {
+    const ctx = this.ctx;
+    const clamp = (percent) => Math.max(0, Math.min(100, percent));
+    const angle1 = startAngle + (clamp(this.band.low) / 100) * totalAngle;
+    const angle2 = startAngle + (clamp(this.band.high) / 100) * totalAngle;
+    const inside = this.currentValue >= this.band.low && this.currentValue <= this.band.high;
+
+    ctx.beginPath();
+    ctx.arc(this.centerX, this.centerY, this.radius + 28, angle1, angle2);
+    ctx.strokeStyle = inside ? "#00ff00" : "rgba(255, 255, 255, 0.6)";
+    ctx.lineWidth = 10;
+    ctx.lineCap = "butt";
+    ctx.stroke();
+  }
+
   // Draw tick marks around the gauge
   drawTicks() {
     const ctx = this.ctx;
@@ -0,0 +1,87 @@
+/**
+ * Grip metrics
+ * Computed from every { t, raw, kg } sample of a measurement, the weights
+ * under the trigger included, t in ms from the measurement start:
+ *
+ * timeToPeak   --> ms from the start to the peak
+ * rfd100       --> rate of force development 0-100 ms, kg/s
+ * rfd200       --> rate of force development 0-200 ms, kg/s
+ * impulse      --> area under the force-time curve, kg*s
+ * fatigueIndex --> decline from the peak to the end of the window, % of the peak
+ *
+ * A metric is null when the samples do not allow it (e.g. a curve shorter than 200 ms).
+ */
+
+/**
+ * forceAt
+ * Force at time t, linearly interpolated between the two closest samples
+ * @param {Object[]} samples - sorted by t
+ * @param {number} t
+ */
+function forceAt(samples, t) {
+  const last = samples[samples.length - 1];
+  if (t > last.t) return null;
+  const i = samples.findIndex((sample) => sample.t >= t);
+  if (i <= 0) return samples[0].kg;
+  const a = samples[i - 1];
+  const b = samples[i];
+  return a.kg + ((b.kg - a.kg) * (t - a.t)) / (b.t - a.t);
+}
+
+/**
+ * rfd
+ * @param {Object[]} samples
+ * @param {number} window - ms from the start
+ */
+function rfd(samples, window) {
+  const start = samples[0];
+  const end = forceAt(samples, start.t + window);
+  if (end === null) return null;
+  return round((end - start.kg) / (window / 1000));
+}
+
+/**
+ * impulse
+ * Trapezoidal integration
+ * @param {Object[]} samples
+ */
+function impulse(samples) {
+  let area = 0;
+  for (let i = 1; i < samples.length; i++) {
+    area += ((samples[i].kg + samples[i - 1].kg) / 2) * (samples[i].t - samples[i - 1].t);
+  }
+  return round(area / 1000);
+}
+
+/**
+ * round
+ * @param {number} value
+ * @param {number=} digits
+ */
+function round(value, digits = 2) {
+  return Number(value.toFixed(digits));
+}
+
+/**
+ * computeMetrics
+ * @param {Object[]} samples - { t, raw, kg }
+ * @returns {{ timeToPeak, rfd100, rfd200, impulse, fatigueIndex }}
+ */
+function computeMetrics(samples) {
+  const timed = samples.filter((sample) => typeof sample.t === "number");
+  if (!timed.length) {
+    return { timeToPeak: null, rfd100: null, rfd200: null, impulse: null, fatigueIndex: null };
+  }
+
+  const peak = timed.reduce((max, sample) => (sample.kg > max.kg ? sample : max), timed[0]);
+  const end = timed[timed.length - 1];
+  return {
+    timeToPeak: round(peak.t - timed[0].t, 1),
+    rfd100: rfd(timed, 100),
+    rfd200: rfd(timed, 200),
+    impulse: timed.length > 1 ? impulse(timed) : null,
+    fatigueIndex: peak.kg > 0 ? round(((peak.kg - end.kg) / peak.kg) * 100, 1) : null,
+  };
+}
+
+module.exports = { computeMetrics, forceAt };
@@ -0,0 +1,226 @@
+const fs = require("fs");
+const path = require("path");
+const { log: defaultLog } = require('./logger');
+
+// _load reads the file this many bytes at a time
+const CHUNK_SIZE = 1 << 20;
+
+/**
+ * HistoryStore
+ * Measurement history saved as JSON lines, one measurement per line, so a
+ * run is never lost when temp.json is overwritten. Only an index is kept in
+ * memory: the records without their raw samples, and where each line is in
+ * the file. get() reads the full record back from the file. The file is only
+ * appended, and rewritten on delete.
+ *
+ * Record fields: id, sessionId, timestamp, deviceId, patientId, operatorId, age, sex, hand,
+ * dominantHand, coef, baseline, baselineStats, rawSamples ({ t, raw, kg }), max, avg, metrics, errorCode
+ *
+ * @param {Object} options
+ * @param {String=} options.filePath - config.historyFilePath
+ * @param {Function=} options.log - log(level, ...args)
+ */
+class HistoryStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || "./history.jsonl";
+    this.log = options.log || defaultLog;
+    // { summary, offset, length } per record, in file order
+    this.entries = [];
+    // size of the file once the queued writes are done
+    this.size = 0;
+    this._writing = Promise.resolve();
+    this._load();
+  }
+
+  _load() {
+    if (!fs.existsSync(this.filePath)) return;
+    const fd = fs.openSync(this.filePath, "r");
+    try {
+      const chunk = Buffer.alloc(CHUNK_SIZE);
+      let pending = Buffer.alloc(0);
+      let offset = 0;
+      let read;
+      while ((read = fs.readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+        pending = Buffer.concat([pending, chunk.subarray(0, read)]);
+        let end;
+        while ((end = pending.indexOf(0x0a)) !== -1) {
+          this._index(pending.subarray(0, end), offset);
+          pending = pending.subarray(end + 1);
+          offset += end + 1;
+        }
+      }
+      if (pending.length) this._index(pending, offset);
+      this.size = offset + pending.length;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * _index
+   * @param {Buffer} line - without its newline
+   * @param {number} offset - of the line in the file
+   */
+  _index(line, offset) {
+    if (!line.length) return;
+    try {
+      this.entries.push({ summary: summarize(JSON.parse(line.toString("utf8"))), offset, length: line.length });
+    } catch (err) {
+      this.log(1, "Invalid history line skipped:", err.message);
+    }
+  }
+
+  /**
+   * _queue
+   * File reads and writes run one at a time, in order
+   * @param {Function} write - returns a promise
+   */
+  _queue(write) {
+    this._writing = this._writing.then(write, write);
+    return this._writing;
+  }
+
+  /**
+   * append
+   * @param {Object} record
+   * @returns {Promise<Object>} the stored record
+   */
+  append(record) {
+    const stored = { id: generateId(), timestamp: new Date().toISOString(), ...record };
+    const line = Buffer.from(JSON.stringify(stored) + "\n");
+    const entry = { summary: summarize(stored), offset: undefined, length: line.length - 1 };
+    this.entries.push(entry);
+    return this._queue(() => {
+      entry.offset = this.size;
+      return fs.promises.appendFile(this.filePath, line).then(
+        () => { this.size += line.length; },
+        (err) => {
+          this.entries = this.entries.filter((other) => other !== entry);
+          throw err;
+        }
+      );
+    }).then(() => stored);
+  }
+
+  /**
+   * list
+   * Newest first, without the raw samples
+   * @param {Object=} filter - patientId, operatorId, deviceId, from, to (ISO dates), limit
+   */
+  list(filter = {}) {
+    const records = this._filter(filter)
+      .reverse()
+      .map((entry) => ({ ...entry.summary }));
+    return filter.limit ? records.slice(0, filter.limit) : records;
+  }
+
+  /**
+   * get
+   * The full record, read from the file
+   * @param {String} id - record id, or a sessionId (first record of the session)
+   * @returns {Promise<Object|undefined>}
+   */
+  get(id) {
+    return this._queue(() => {
+      const entry = this.entries.find(({ summary }) => summary.id === id) ||
+        this.entries.find(({ summary }) => summary.sessionId === id);
+      return entry && this._read(entry);
+    });
+  }
+
+  /**
+   * _read
+   * @param {Object} entry
+   */
+  async _read({ offset, length }) {
+    const handle = await fs.promises.open(this.filePath, "r");
+    try {
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, offset);
+      return JSON.parse(buffer.toString("utf8"));
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * delete
+   * @param {Object} filter - id, sessionId, patientId or operatorId, at least one
+   * @returns {Promise<number>} number of deleted records
+   */
+  delete(filter = {}) {
+    const keys = ["id", "sessionId", "patientId", "operatorId"].filter((key) => filter[key] !== undefined);
+    if (!keys.length) return Promise.reject(new Error("Delete needs an id, sessionId, patientId or operatorId"));
+
+    const matches = ({ summary }) => keys.every((key) => summary[key] === filter[key]);
+    const before = this.entries.length;
+    this.entries = this.entries.filter((entry) => !matches(entry));
+    const deleted = before - this.entries.length;
+    if (!deleted) return Promise.resolve(0);
+
+    // the records appended from now on are written after the rewrite
+    const kept = this.entries.slice();
+    return this._queue(() => this._rewrite(kept)).then(() => deleted);
+  }
+
+  /**
+   * _rewrite
+   * Copies the lines of the kept records to a new file, line by line
+   * @param {Object[]} kept - entries
+   */
+  async _rewrite(kept) {
+    const tmpPath = path.join(path.dirname(this.filePath), `.${path.basename(this.filePath)}.tmp`);
+    const source = await fs.promises.open(this.filePath, "r");
+    const target = await fs.promises.open(tmpPath, "w");
+    const offsets = [];
+    let size = 0;
+    try {
+      for (const entry of kept) {
+        const line = Buffer.alloc(entry.length + 1, 0x0a);
+        await source.read(line, 0, entry.length, entry.offset);
+        await target.write(line);
+        offsets.push(size);
+        size += line.length;
+      }
+    } finally {
+      await source.close();
+      await target.close();
+    }
+    await fs.promises.rename(tmpPath, this.filePath);
+    kept.forEach((entry, i) => { entry.offset = offsets[i]; });
+    this.size = size;
+  }
+
+  /**
+   * _filter
+   * @param {Object} filter
+   * @returns {Object[]} entries, a new array
+   */
+  _filter(filter) {
+    return this.entries.filter(({ summary }) => (
+      (filter.patientId === undefined || summary.patientId === filter.patientId) &&
+      (filter.operatorId === undefined || summary.operatorId === filter.operatorId) &&
+      (filter.deviceId === undefined || summary.deviceId === filter.deviceId) &&
+      (filter.from === undefined || summary.timestamp >= filter.from) &&
+      (filter.to === undefined || summary.timestamp <= filter.to)
+    ));
+  }
+}
+
+/**
+ * summarize
+ * A record without its raw samples, what list() returns
+ * @param {Object} record
+ */
+function summarize({ rawSamples, ...summary }) {
+  return { ...summary, samples: rawSamples ? rawSamples.length : 0 };
+}
+
+/**
+ * Generate unique record ID
+ */
+function generateId() {
+  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+module.exports = HistoryStore;
@@ -0,0 +1,340 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const zeromq = require("zeromq");
+const { COMMANDS, PROTOCOL_VERSION } = require("./protocol");
+
+/**
+ * KGrip test client
+ * Front-end emulator for the plugin: connects to config.socket, sends the
+ * commands listenZmq() understands and prints the outputData replies.
+ *
+ * Usage:
+ *   node kgrip-client.js                          interactive, type a command per line
+ *   node kgrip-client.js measureStart             send commands and keep printing replies
+ *   node kgrip-client.js --expect "device_found,baseline_ok,measure_received*,measure_finish" measureStart
+ *   node kgrip-client.js --script script.json     run a scripted session
+ *
+ * Options:
+ *   --config <file>     config.json to read the endpoint from (default ./config.json)
+ *   --endpoint <url>    override the endpoint, eg. tcp://127.0.0.1:5555
+ *   --timeout <ms>      default time allowed for every expected message (default config.timeout)
+ *   --device <id>       target one device (serial number or path), repeat it for several devices
+ *   --raw               print the replies as raw JSON
+ */
+
+// Broadcast on every state change, not part of the expected sequences unless a script asks for them
+const DEFAULT_IGNORE = ["state_changed", "ack"];
+
+
+/**
+ * parseArgs
+ * @param {String[]} argv
+ */
+function parseArgs(argv) {
+  const options = { config: "config.json", commands: [], raw: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--config":   options.config = argv[++i]; break;
+      case "--endpoint": options.endpoint = argv[++i]; break;
+      case "--timeout":  options.timeout = Number(argv[++i]); break;
+      case "--expect":   options.expect = argv[++i]; break;
+      case "--script":   options.script = argv[++i]; break;
+      case "--device":   options.devices = (options.devices || []).concat(argv[++i]); break;
+      case "--raw":      options.raw = true; break;
+      case "--help":
+      case "-h":         options.help = true; break;
+      default:           options.commands.push(arg);
+    }
+  }
+  return options;
+}
+
+/**
+ * parseExpect
+ * "device_found,measure_received*" --> [{ expect: "device_found" }, { expect: "measure_received", repeat: "*" }]
+ * @param {String} expect
+ */
+function parseExpect(expect) {
+  return expect
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const repeat = /[*+]$/.test(item) ? item.slice(-1) : undefined;
+      return { expect: repeat ? item.slice(0, -1) : item, repeat };
+    });
+}
+
+/**
+ * loadScript
+ * A script is a list of steps, run in order:
+ *   { "send": "measureStart" }                        send a command (or a full inputData object)
+ *   { "expect": "device_found", "within": 45000 }     wait for a message, within ms from the previous step
+ *   { "expect": "measure_received", "repeat": "*" }   zero or more ("+" one or more)
+ *   { "wait": 1000 }                                  pause
+ * "ignore" lists messages that may arrive at any time without failing the script (default state_changed, ack).
+ * @param {String} file
+ */
+function loadScript(file) {
+  const script = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (Array.isArray(script)) return { steps: script, ignore: DEFAULT_IGNORE };
+  return { steps: script.steps || [], ignore: script.ignore || DEFAULT_IGNORE };
+}
+
+/**
+ * formatMessage
+ * @param {Object} outputData
+ */
+function formatMessage(outputData) {
+  const { message, ...rest } = outputData;
+  const fields = Object.keys(rest)
+    .map((key) => {
+      let value = rest[key];
+      if (typeof value === "object") value = JSON.stringify(value);
+      if (typeof value === "string" && value.length > 60) value = value.slice(0, 57) + "...";
+      return `${key}=${value}`;
+    })
+    .join(" ");
+  return `${message}${fields ? "  " + fields : ""}`;
+}
+
+class KGripClient {
+  constructor(options = {}) {
+    this.endpoint = options.endpoint;
+    this.raw = options.raw;
+    this.devices = options.devices;
+    this.dealer = new zeromq.Dealer();
+    this.startedAt = Date.now();
+    this.listeners = new Set();
+    this.nextRequestId = 1;
+  }
+
+  elapsed() {
+    return `[+${String(Date.now() - this.startedAt).padStart(6)}ms]`;
+  }
+
+  async connect() {
+    this.dealer.connect(this.endpoint);
+    console.log(`Connected to ${this.endpoint}`);
+    this.receive();
+  }
+
+  async receive() {
+    for await (const [msg] of this.dealer) {
+      let payload;
+      try {
+        payload = JSON.parse(msg.toString());
+      } catch (err) {
+        console.log(this.elapsed(), "<- invalid JSON:", msg.toString());
+        continue;
+      }
+      const outputData = payload.outputData || payload;
+      console.log(this.elapsed(), "<-", this.raw ? JSON.stringify(payload) : formatMessage(outputData));
+      this.listeners.forEach((listener) => listener(outputData));
+    }
+  }
+
+  /**
+   * send
+   * @param {String|Object} cmd - command name or a full inputData object
+   */
+  async send(cmd) {
+    const inputData = typeof cmd === "string" ? { cmd } : { ...cmd };
+    if (inputData.cmd === "hello" && !inputData.protocolVersion) inputData.protocolVersion = PROTOCOL_VERSION;
+    if (inputData.requestId === undefined) inputData.requestId = String(this.nextRequestId++);
+    if (inputData.deviceId === undefined && this.devices) {
+      inputData.deviceId = this.devices.length === 1 ? this.devices[0] : this.devices;
+    }
+    if (!COMMANDS.includes(inputData.cmd)) {
+      console.log(this.elapsed(), `!! ${inputData.cmd} is not a known command, sending anyway`);
+    }
+    await this.dealer.send(JSON.stringify({ inputData }));
+    console.log(this.elapsed(), "->", inputData.cmd, `requestId=${inputData.requestId}`);
+  }
+
+  onMessage(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  close() {
+    this.dealer.close();
+  }
+}
+
+/**
+ * runScript
+ * Runs the steps in order, resolves with one result per step (a failure stops the script)
+ * @param {KGripClient} client
+ * @param {Object} script
+ * @param {number} defaultTimeout
+ */
+function runScript(client, script, defaultTimeout) {
+  const steps = script.steps;
+  const ignore = new Set(script.ignore);
+  const results = [];
+
+  return new Promise((resolve) => {
+    // messages received while sending or waiting are checked by the next expectation
+    const pending = [];
+    let index = -1;
+    let stepStartedAt = Date.now();
+    let matches = 0;
+    let timer;
+    let done = false;
+
+    const finish = (failure) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      unsubscribe();
+      if (failure) results.push({ step: index, failure });
+      resolve(results);
+    };
+
+    const complete = () => {
+      const step = steps[index];
+      if (step && step.expect) {
+        results.push({ step: index, expect: step.expect, count: matches, elapsed: Date.now() - stepStartedAt });
+      }
+    };
+
+    const next = () => {
+      clearTimeout(timer);
+      complete();
+      index++;
+      matches = 0;
+      stepStartedAt = Date.now();
+      const step = steps[index];
+      if (!step) return finish();
+
+      if (step.send) {
+        client.send(step.send).then(next, (err) => finish(`send failed: ${err.message}`));
+        return;
+      }
+      if (step.wait) {
+        timer = setTimeout(next, step.wait);
+        return;
+      }
+      const within = step.within || defaultTimeout;
+      timer = setTimeout(() => {
+        if (step.repeat === "*" || (step.repeat === "+" && matches > 0)) return next();
+        finish(`${step.expect} not received within ${within}ms`);
+      }, within);
+      while (!done && pending.length && steps[index] === step) handle(pending.shift());
+    };
+
+    const handle = (outputData) => {
+      const step = steps[index];
+      if (!step || !step.expect) {
+        pending.push(outputData);
+        return;
+      }
+      if (outputData.message === step.expect) {
+        matches++;
+        if (!step.repeat) next();
+        return;
+      }
+      // A repeated step ends as soon as the following expectation shows up
+      const following = steps[index + 1];
+      if (step.repeat && (step.repeat === "*" || matches > 0) && following && following.expect === outputData.message) {
+        next();
+        handle(outputData);
+        return;
+      }
+      if (ignore.has(outputData.message)) return;
+      finish(`expected ${step.expect}${step.repeat || ""}, received ${outputData.message}`);
+    };
+
+    const unsubscribe = client.onMessage(handle);
+
+    next();
+  });
+}
+
+/**
+ * interactive
+ * One command per line, either a command name or a JSON inputData object
+ * @param {KGripClient} client
+ */
+function interactive(client) {
+  console.log("Commands:", COMMANDS.join(", "));
+  const rl = readline.createInterface({ input: process.stdin });
+  rl.on("line", (line) => {
+    line = line.trim();
+    if (!line) return;
+    if (line === "quit" || line === "exit") {
+      rl.close();
+      client.close();
+      return;
+    }
+    let cmd;
+    try {
+      cmd = line.startsWith("{") ? JSON.parse(line) : line;
+    } catch (err) {
+      console.log("Invalid input:", err.message);
+      return;
+    }
+    client.send(cmd).catch((err) => console.log("Send failed:", err.message));
+  });
+}
+
+async function main(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    console.log(fs.readFileSync(__filename, "utf8").match(/\/\*\*\n \* KGrip test client[\s\S]*?\*\//)[0]);
+    return 0;
+  }
+
+  const config = JSON.parse(fs.readFileSync(path.resolve(options.config), "utf8"));
+  const endpoint = options.endpoint || "tcp://" + config.socket.zeromqIp + ":" + config.socket.zeromqPort;
+  const timeout = options.timeout || config.timeout || 45000;
+
+  const client = new KGripClient({ endpoint, raw: options.raw, devices: options.devices });
+  await client.connect();
+
+  let script;
+  if (options.script) script = loadScript(options.script);
+  if (options.expect) {
+    script = {
+      steps: options.commands.map((send) => ({ send })).concat(parseExpect(options.expect)),
+      ignore: DEFAULT_IGNORE,
+    };
+  }
+
+  if (!script) {
+    for (const cmd of options.commands) await client.send(cmd);
+    if (!options.commands.length) interactive(client);
+    return undefined;
+  }
+
+  const results = await runScript(client, script, timeout);
+  client.close();
+
+  console.log("\n--- Script results ---");
+  let failed = false;
+  results.forEach((result) => {
+    if (result.failure) {
+      failed = true;
+      console.log(`FAIL step ${result.step}: ${result.failure}`);
+    } else {
+      console.log(`ok   step ${result.step}: ${result.expect} x${result.count} after ${result.elapsed}ms`);
+    }
+  });
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => {
+      if (code !== undefined) process.exit(code);
+    })
+    .catch((err) => {
+      console.error(err);
+      process.exit(1);
+    });
+}
+
+module.exports = { KGripClient, COMMANDS, parseExpect, runScript };
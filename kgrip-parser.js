@@ -0,0 +1,168 @@
+const { Transform } = require('stream');
+
+/**
+ * KForceGrip stream framing
+ *
+ * The device streams two kinds of data on the same port:
+ *   sample packets   FF FF FE hi lo 00 00 00 00 00 CK   (11 bytes)
+ *   GetCoef replies  6 ASCII digits, coef = value / 1000000
+ *
+ * KGripParser syncs on the FF FF FE header instead of cutting the stream
+ * every 11 bytes, so a lost or extra byte costs one frame, not every later
+ * one. Frames with a header inside them (or a wrong checksum, when one is
+ * configured) are dropped and counted, the parser then resyncs on the next
+ * header.
+ *
+ * Events:
+ *   'data'    --> valid sample packet (Buffer, 11 bytes)
+ *   'coef'    --> coefficient reply (number)
+ *   'corrupt' --> { reason: "checksum" | "structure" | "garbage", bytes }
+ */
+
+const HEADER = Buffer.from([0xff, 0xff, 0xfe]);
+const PACKET_LENGTH = 11;
+const COEF_LENGTH = 6;
+
+/**
+ * Checksum algorithms, computed on the payload bytes 3..9
+ * none --> not checked, only the packet structure is (default)
+ * sum  --> low byte of the sum
+ * xor  --> xor of the bytes
+ * The algorithm of the KForceGrip trailer byte is not documented: the only
+ * packet known from the device, FF FF FE 0D AC 00 00 00 00 00 40, fits
+ * neither sum nor xor. Only set one once the device spec confirms it.
+ */
+const checksums = {
+  sum: (packet) => {
+    let sum = 0;
+    for (let i = HEADER.length; i < PACKET_LENGTH - 1; i++) sum += packet[i];
+    return sum & 0xff;
+  },
+  xor: (packet) => {
+    let xor = 0;
+    for (let i = HEADER.length; i < PACKET_LENGTH - 1; i++) xor ^= packet[i];
+    return xor;
+  },
+  none: () => undefined,
+};
+
+const isDigit = (byte) => byte >= 0x30 && byte <= 0x39;
+
+/**
+ * KGripParser
+ * @param {Object=} options
+ * @param {String=} options.checksum - none, sum or xor (config.checksum), default none
+ */
+class KGripParser extends Transform {
+  constructor(options = {}) {
+    super({ readableObjectMode: true });
+    const checksum = options.checksum || "none";
+    if (!checksums[checksum]) throw new Error(`Unknown checksum ${checksum}`);
+    this.checksum = checksums[checksum];
+    this.buffer = Buffer.alloc(0);
+    this.stats = { packets: 0, replies: 0, corrupt: 0, checksumErrors: 0, droppedBytes: 0 };
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    this.parse();
+    callback();
+  }
+
+  _flush(callback) {
+    if (this.buffer.length) this.drop(this.buffer.length, "garbage");
+    callback();
+  }
+
+  /**
+   * parse
+   * Consumes every complete frame of the buffer, keeps the incomplete tail
+   */
+  parse() {
+    while (this.buffer.length) {
+      const { buffer } = this;
+
+      if (buffer[0] === HEADER[0]) {
+        // header not complete yet, or a real one
+        if (buffer.length < HEADER.length && HEADER.slice(0, buffer.length).equals(buffer)) return;
+        if (buffer.slice(0, HEADER.length).equals(HEADER)) {
+          if (buffer.length < PACKET_LENGTH) return;
+          this.frame(buffer.slice(0, PACKET_LENGTH));
+          continue;
+        }
+      }
+
+      if (isDigit(buffer[0])) {
+        const digits = buffer.slice(0, COEF_LENGTH);
+        const complete = digits.length === COEF_LENGTH;
+        if ([...digits].every(isDigit)) {
+          if (!complete) return;
+          this.stats.replies++;
+          this.buffer = buffer.slice(COEF_LENGTH);
+          this.emit('coef', digits.toString() / 1000000);
+          continue;
+        }
+      }
+
+      // out of sync
+      this.resync("garbage");
+    }
+  }
+
+  /**
+   * frame
+   * @param {Buffer} packet - 11 bytes starting with the header
+   */
+  frame(packet) {
+    // a header inside the frame means bytes were lost before it
+    const inner = packet.indexOf(HEADER, 1);
+    if (inner !== -1) return this.drop(inner, "structure");
+
+    const expected = this.checksum(packet);
+    if (expected !== undefined && expected !== packet[PACKET_LENGTH - 1]) {
+      this.stats.checksumErrors++;
+      return this.resync("checksum");
+    }
+
+    this.stats.packets++;
+    this.buffer = this.buffer.slice(PACKET_LENGTH);
+    this.push(Buffer.from(packet));
+  }
+
+  /**
+   * resync
+   * Drops the bytes up to the next header
+   * @param {String} reason
+   */
+  resync(reason) {
+    const next = this.buffer.indexOf(HEADER, 1);
+    this.drop(next === -1 ? this.tailStart() : next, reason);
+  }
+
+  /**
+   * drop
+   * @param {number} length - bytes dropped from the buffer start
+   * @param {String} reason
+   */
+  drop(length, reason) {
+    const bytes = this.buffer.slice(0, length);
+    this.buffer = this.buffer.slice(length);
+    this.stats.corrupt++;
+    this.stats.droppedBytes += bytes.length;
+    this.emit('corrupt', { reason, bytes: Buffer.from(bytes) });
+  }
+
+  /**
+   * tailStart
+   * Where a header may be starting at the end of the buffer
+   */
+  tailStart() {
+    const { buffer } = this;
+    for (let i = Math.max(1, buffer.length - HEADER.length + 1); i < buffer.length; i++) {
+      if (HEADER.slice(0, buffer.length - i).equals(buffer.slice(i))) return i;
+    }
+    return buffer.length;
+  }
+}
+
+module.exports = { KGripParser, checksums, HEADER, PACKET_LENGTH, COEF_LENGTH };
@@ -0,0 +1,374 @@
+const { Duplex } = require('stream');
+const { EventEmitter } = require('events');
+
+/**
+ * KForceGrip software emulator
+ * A virtual serial port that answers the KForceGrip command bytes, so the
+ * plugin can run end-to-end without a physical grip on the desk.
+ *
+ * Commands understood (same table as main.js):
+ * 0x20 --> Set Coefficient (followed by 6 ASCII digits, assumed from the GetCoef reply:
+ *          not confirmed on a real KForceGrip, sent only with config.calibrationWriteCoef)
+ * 0x21 --> Get Coefficient (replies with 6 ASCII digits, coef = value / 1000000)
+ * 0x10 --> Set Sampling = off
+ * 0x11 --> Set Sampling = on (streams 11-byte FF FF FE .. packets)
+ * 0x7a --> Deactivate device
+ *
+ * The force applied to the grip is scripted with a profile, a list of phases:
+ *   { phase: 'idle',    duration }          grip set down, value below config.baseline
+ *   { phase: 'rest',    duration }          grip held, no load (0 Kg)
+ *   { phase: 'ramp',    duration, to }      squeeze ramp up to `to` Kg
+ *   { phase: 'plateau', duration }          hold the current load
+ *   { phase: 'release', duration }          ramp down to 0 Kg
+ * A function (t) => Kg can be used instead, t in ms since Sampling = on.
+ *
+ * For the calibration, hang(path, kg) replaces the profile with a constant
+ * load, and `sensitivity` (the coefficient the load cell really has) may
+ * differ from the `coefficient` stored in the device.
+ */
+
+// Packet header, every sample packet starts with FF FF FE
+const HEADER = [0xff, 0xff, 0xfe];
+// Last byte of the packets, as streamed by the device (FF FF FE 0D AC 00 00 00 00 00 40).
+// What it is computed from is not documented, the simulator sends it unchanged.
+const TRAILER = 0x40;
+const PACKET_LENGTH = 11;
+const COEF_LENGTH = 6;
+
+// Virtual devices currently "plugged in", keyed by path
+const devices = new Map();
+
+// Real timers, replaced by a fake clock in tests
+const systemClock = {
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (timer) => clearInterval(timer),
+  now: () => Date.now(),
+};
+
+class KGripSimulator extends Duplex {
+  constructor(options = {}, openCallback) {
+    super();
+    this.path     = options.path || KGripSimulator.defaultPath;
+    this.baudRate = options.baudRate || 115200;
+    this.isOpen   = false;
+    this.sampling = false;
+    this.active   = true;
+
+    this._pending = [];
+    this._sampleTimer = undefined;
+    this._samplingStartedAt = 0;
+
+    if (options.autoOpen !== false) {
+      process.nextTick(() => this.open(openCallback));
+    }
+  }
+
+  /**
+   * Plug a virtual device in, it will be returned by list()
+   * @param {Object} options - path, vendorId, productId, serialNumber, coefficient,
+   * sensitivity, restValue, idleValue, noise, sampleInterval, profile, clock
+   */
+  static attach(options = {}) {
+    const device = {
+      path:           options.path || KGripSimulator.defaultPath,
+      manufacturer:   options.manufacturer || 'KGrip Simulator',
+      serialNumber:   options.serialNumber || 'SIM0001',
+      locationId:     options.locationId,
+      vendorId:       options.vendorId,
+      productId:      options.productId,
+      coefficient:    options.coefficient || 1250,
+      sensitivity:    options.sensitivity || options.coefficient || 1250,
+      restValue:      options.restValue || 30000,
+      idleValue:      options.idleValue || 5000,
+      noise:          options.noise || 0,
+      sampleInterval: options.sampleInterval || 10,
+      profile:        options.profile || 'squeeze',
+      clock:          options.clock || systemClock,
+      load:           undefined,
+      stalled:        false,
+      ports: new Set(),
+    };
+    devices.set(device.path, device);
+    KGripSimulator.hotplug.emit('attach', device);
+    return device;
+  }
+
+  /**
+   * Unplug a virtual device, open ports on it are closed with an error
+   * @param {String} path
+   */
+  static detach(path = KGripSimulator.defaultPath) {
+    const device = devices.get(path);
+    if (!device) return;
+    devices.delete(path);
+    device.ports.forEach((port) => {
+      port.emit('error', new Error('Device disconnected'));
+      port.close();
+    });
+    KGripSimulator.hotplug.emit('detach', device);
+  }
+
+  /**
+   * Hang a known mass on the grip, until hang(path) without kg
+   * @param {String} path
+   * @param {number=} kg
+   */
+  static hang(path = KGripSimulator.defaultPath, kg) {
+    const device = devices.get(path);
+    if (device) device.load = kg;
+  }
+
+  /**
+   * Freeze the sample stream while the port stays open, until stall(path, false)
+   * @param {String} path
+   * @param {boolean=} stalled
+   */
+  static stall(path = KGripSimulator.defaultPath, stalled = true) {
+    const device = devices.get(path);
+    if (device) device.stalled = stalled;
+  }
+
+  /**
+   * Same shape as SerialPort.list()
+   */
+  static list() {
+    return Promise.resolve(
+      [...devices.values()].map(({ path, manufacturer, serialNumber, locationId, vendorId, productId }) => (
+        { path, manufacturer, serialNumber, locationId, vendorId, productId }
+      ))
+    );
+  }
+
+  /**
+   * Build a sample packet for the raw 16-bit value
+   * eg. 3500 --> FF FF FE 0D AC 00 00 00 00 00 40
+   * @param {number} value
+   */
+  static packet(value) {
+    const packet = Buffer.alloc(PACKET_LENGTH);
+    packet.set(HEADER, 0);
+    packet.writeUInt16BE(Math.max(0, Math.min(0xffff, Math.round(value))), 3);
+    packet[PACKET_LENGTH - 1] = TRAILER;
+    return packet;
+  }
+
+  open(callback) {
+    const device = devices.get(this.path);
+    if (!device) {
+      const error = new Error(`Error: No such file or directory, cannot open ${this.path}`);
+      if (callback) return callback(error);
+      return this.emit('error', error);
+    }
+    this.device = device;
+    device.ports.add(this);
+    this.isOpen = true;
+    this.emit('open');
+    if (callback) callback(null);
+  }
+
+  close(callback) {
+    if (!this.isOpen) {
+      if (callback) callback(new Error('Port is not open'));
+      return;
+    }
+    this._stopSampling();
+    this.isOpen = false;
+    this.device && this.device.ports.delete(this);
+    this.emit('close');
+    if (callback) callback(null);
+  }
+
+  flush(callback) {
+    this._pending.length = 0;
+    if (callback) callback(null);
+  }
+
+  drain(callback) {
+    if (callback) callback(null);
+  }
+
+  _read() {}
+
+  _write(chunk, encoding, callback) {
+    if (!this.isOpen) return callback(new Error('Port is not open'));
+    this._pending.push(...chunk);
+    this._handleCommands();
+    callback();
+  }
+
+  /**
+   * Consume the pending command bytes
+   */
+  _handleCommands() {
+    while (this._pending.length) {
+      const command = this._pending[0];
+      if (command === 0x20) {
+        // Set Coefficient needs its 6 digits before it can be applied
+        if (this._pending.length < 1 + COEF_LENGTH) return;
+        const digits = Buffer.from(this._pending.slice(1, 1 + COEF_LENGTH)).toString();
+        this._pending.splice(0, 1 + COEF_LENGTH);
+        if (/^\d{6}$/.test(digits)) this.device.coefficient = parseInt(digits, 10);
+        continue;
+      }
+      this._pending.shift();
+      this.active = true;
+      switch (command) {
+        case 0x21:
+          this.push(Buffer.from(String(this.device.coefficient).padStart(COEF_LENGTH, '0').slice(-COEF_LENGTH)));
+          break;
+        case 0x10:
+          this._stopSampling();
+          break;
+        case 0x11:
+          this._startSampling();
+          break;
+        case 0x7a:
+          this._stopSampling();
+          this.active = false;
+          break;
+      }
+    }
+  }
+
+  _startSampling() {
+    if (this.sampling) return;
+    const { clock } = this.device;
+    this.sampling = true;
+    this._samplingStartedAt = clock.now();
+    this._sampleTimer = clock.setInterval(() => {
+      if (this.device.stalled) return;
+      this.push(KGripSimulator.packet(this.valueAt(clock.now() - this._samplingStartedAt)));
+    }, this.device.sampleInterval);
+  }
+
+  _stopSampling() {
+    this.sampling = false;
+    if (this._sampleTimer) this.device.clock.clearInterval(this._sampleTimer);
+    this._sampleTimer = undefined;
+  }
+
+  /**
+   * Raw 16-bit value at time t (ms since Sampling = on)
+   * The device reports the load as a drop from the rest value:
+   * Weight = (Baseline - value) * Coef
+   * @param {number} t
+   */
+  valueAt(t) {
+    const { restValue, idleValue, noise, sensitivity, load } = this.device;
+    const kg = load !== undefined ? load : forceAt(resolveProfile(this.device.profile), t);
+    const jitter = noise ? (Math.random() * 2 - 1) * noise : 0;
+    if (kg === null) return idleValue + jitter;
+    return restValue - kg / (sensitivity / 1000000) + jitter;
+  }
+}
+
+KGripSimulator.defaultPath = '/dev/ttyKGRIP0';
+
+// USB hot-plug events, same as the usb package: 'attach' / 'detach'
+KGripSimulator.hotplug = new EventEmitter();
+
+/**
+ * Built-in force profiles
+ */
+KGripSimulator.profiles = {
+  squeeze: [
+    { phase: 'rest', duration: 4000 },
+    { phase: 'ramp', duration: 600, to: 32 },
+    { phase: 'plateau', duration: 2500 },
+    { phase: 'release', duration: 400 },
+    { phase: 'rest', duration: 3000 },
+  ],
+  quick: [
+    { phase: 'rest', duration: 3500 },
+    { phase: 'ramp', duration: 200, to: 20 },
+    { phase: 'release', duration: 200 },
+    { phase: 'rest', duration: 6000 },
+  ],
+  idle: [
+    { phase: 'idle', duration: 60000 },
+  ],
+};
+
+/**
+ * resolveProfile
+ * @param {String|Array|Function} profile
+ */
+function resolveProfile(profile) {
+  if (typeof profile === 'string') {
+    if (!KGripSimulator.profiles[profile]) throw new Error(`Unknown simulator profile: ${profile}`);
+    return KGripSimulator.profiles[profile];
+  }
+  return profile;
+}
+
+/**
+ * forceAt
+ * Load in Kg at time t, null while the grip is set down (idle)
+ * After the last phase the final level is held
+ * @param {Array|Function} profile
+ * @param {number} t
+ */
+function forceAt(profile, t) {
+  if (typeof profile === 'function') return profile(t);
+  let level = 0;
+  let elapsed = 0;
+  for (const step of profile) {
+    const duration = step.duration || 0;
+    const from = level;
+    switch (step.phase) {
+      case 'idle':
+        if (t < elapsed + duration) return null;
+        level = 0;
+        break;
+      case 'rest':
+        level = 0;
+        break;
+      case 'ramp':
+        level = step.to || 0;
+        break;
+      case 'release':
+        level = 0;
+        break;
+      // plateau keeps the current level
+    }
+    if (t < elapsed + duration) {
+      if (step.phase === 'ramp' || step.phase === 'release') {
+        return from + (level - from) * ((t - elapsed) / duration);
+      }
+      return level;
+    }
+    elapsed += duration;
+  }
+  return level;
+}
+
+// Example usage
+if (require.main === module) {
+  const profile = process.argv[2] || 'squeeze';
+  KGripSimulator.attach({ profile });
+  const port = new KGripSimulator({ path: KGripSimulator.defaultPath });
+
+  port.on('open', () => {
+    console.log(`Simulated KForceGrip on ${port.path}, profile: ${profile}`);
+    port.write(Buffer.from([0x21]));
+    port.write(Buffer.from([0x11]));
+  });
+
+  let coef = 0;
+  port.on('data', (data) => {
+    if (data.length === COEF_LENGTH) {
+      coef = data.toString() / 1000000;
+      console.log('Coef:', coef);
+      return;
+    }
+    const value = data.readUInt16BE(3);
+    console.log(data.toString('hex').match(/../g).join(' '), '-->', value);
+  });
+
+  setTimeout(() => {
+    port.write(Buffer.from([0x7a]));
+    port.close();
+  }, 8000);
+}
+
+module.exports = KGripSimulator;
@@ -0,0 +1,75 @@
+const fs = require("fs");
+const util = require("util");
+
+let debugLevel = 0;
+
+/**
+ * setupLogger
+ * Console LOG customization: with config.debug every console output is
+ * timestamped and also appended to config.logFilePath
+ * @param {*} config
+ */
+function setupLogger(config) {
+  debugLevel = config.debugLevel || 0;
+
+  if (!config.logFilePath) return;
+
+  const logFile = fs.createWriteStream(config.logFilePath, { flags: "a" });
+  const logStdout = process.stdout;
+
+  console.log = config.debug
+    ? function () {
+        let ts = Date.now();
+
+        let date_time = new Date(ts);
+        let date = date_time.getDate();
+        let month = date_time.getMonth() + 1;
+        let year = date_time.getFullYear();
+        let hours = date_time.getHours();
+        let minutes = date_time.getMinutes();
+        let seconds = date_time.getSeconds();
+        const line =
+          "[" +
+          year +
+          "/" +
+          month +
+          "/" +
+          date +
+          "-" +
+          hours +
+          ":" +
+          minutes +
+          ":" +
+          seconds +
+          "] " +
+          util.format.apply(null, arguments) +
+          "\n";
+        logFile.write(line);
+        logStdout.write(line);
+      }
+    : console.log;
+
+  console.error = config.debug ? console.log: console.error;
+  console.warn  = config.debug ? console.log: console.warn;
+  console.info  = config.debug ? console.log: console.info;
+  console.debug = config.debug ? console.log: console.debug;
+}
+
+/**
+ * Log helper that respects the current debug level.
+ * @param {number} level - Desired log level (1-4)
+ * @param {...any} args - Values to log
+ */
+function log(level, ...args) {
+  if (debugLevel >= level) {
+    switch (level) {
+      case 1: console.error(...args); break;   // Error
+      case 2: console.warn(...args);  break;   // Warning
+      case 3: console.info(...args);  break;   // Info
+      case 4: console.debug(...args); break;   // Verbose/debug
+      default: console.log(...args);
+    }
+  }
+}
+
+module.exports = { setupLogger, log };
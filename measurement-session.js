@@ -0,0 +1,1368 @@
+const { EventEmitter } = require('events');
+const fs = require("fs");
+const path = require("path");
+const Big = require('big.js');
+const { KGripParser } = require('./kgrip-parser');
+const { deviceIdOf } = require('./device-watcher');
+const { log: defaultLog } = require('./logger');
+const { computeMetrics } = require('./grip-metrics');
+const { FilterChain } = require('./force-filter');
+const { BaselineTracker } = require('./baseline-tracker');
+const { resolveEnd, EndDetector } = require('./end-condition');
+const { resolveTest, createTest } = require('./test-mode');
+const { Calibration, coefDigits, appendLog } = require('./calibration');
+const {
+  StateMachine,
+  IDLE,
+  SEARCHING,
+  OPENING,
+  READING_COEF,
+  WAITING_BASELINE,
+  ARMED,
+  MEASURING,
+  FINISHED,
+  STOPPING,
+  CALIBRATING,
+} = require('./measurement-state');
+const {
+  ERROR_CATALOGUE_VERSION,
+  describeError,
+  TEMP_FILE_ERROR,
+  NO_DEVICE_FOUND,
+  DEVICE_ERROR,
+  PLUGIN_ERROR,
+  CHECKSUM_ERROR,
+  TIMEOUT,
+  INVALID_DATA,
+  CALIBRATION_ERROR,
+  CALIBRATION_EXPIRED,
+  DEVICE_LOST,
+} = require('./error-catalogue');
+
+/**
+ * KForceGrip commands
+ *
+ * 0x20 --> Set Coefficient
+ * 0x21 --> Get Coefficient
+ * 0x10 --> Set Sampling = off
+ * 0x11 --> Set Sampling = on
+ * 0x7a --> Deactivate device
+ *
+ */
+const SetCoef     = 0
+const GetCoef     = 1
+const SamplingOff = 2
+const SamplingOn  = 3
+const DeviceOff   = 4
+const commandCode = 0
+const commandDesc = 1
+
+const commands = []
+commands[SetCoef]     = [new Buffer.from([0x20]), "Set Coefficient"]
+commands[GetCoef]     = [new Buffer.from([0x21]), "Get Coefficient"]
+commands[SamplingOff] = [new Buffer.from([0x10]), "Sampling off"]
+commands[SamplingOn]  = [new Buffer.from([0x11]), "Sampling on"]
+commands[DeviceOff]   = [new Buffer.from([0x7a]), "Deactivate device"]
+
+// Real timers, replaced by a fake clock in tests
+const systemClock = {
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (timer) => clearInterval(timer),
+  now: () => Date.now(),
+  // high-resolution, in ms, for the sample timestamps
+  hrnow: () => Number(process.hrtime.bigint()) / 1e6,
+};
+
+const emptyLinkStats = () => ({
+  packets: 0,
+  packetRate: 0,
+  corrupt: 0,
+  portErrors: 0,
+  writeErrors: 0,
+  disconnects: 0,
+  stalls: 0,
+  reconnects: 0,
+});
+
+// inputData fields describing who is measured, the demographics score the results (normative-data.js)
+const METADATA_FIELDS = ["patientId", "operatorId", "age", "sex", "hand", "dominantHand"];
+
+const emptyTempFile = () => ({
+  hardware: "KForceGrip",
+  inputData: {},
+  outputData: {},
+  messages: [],
+});
+
+/**
+ * MeasurementSession
+ * The measurement engine: device discovery, coefficient reading, the baseline
+ * state machine and the weight formula. It knows nothing about Electron or
+ * ZeroMQ, every output is emitted as a 'message' event carrying the
+ * outputData payload (device_found, baseline_ok, measure_received, ...).
+ *
+ * The lifecycle is driven by a StateMachine (see measurement-state.js), each
+ * change is broadcast as a state_changed message. Timers belong to the state
+ * that started them and are all cleared when the session goes back to idle.
+ *
+ * @param {Object} options
+ * @param {Object} options.config - config.json content
+ * @param {*} options.Port - serial port implementation (SerialPort or KGripSimulator)
+ * @param {Object=} options.clock - setTimeout/clearTimeout/setInterval/clearInterval/now
+ * @param {Function=} options.log - log(level, ...args)
+ * @param {Object=} options.tempFile - initial temp.json content
+ * @param {String=} options.tempFilePath - where the results are written (config.tempFilePath, default
+ * ./temp.json), a session bound to a device adds its id to the name while several grips are plugged in:
+ * ./temp-A12345.json
+ * @param {String=} options.deviceId - bind the session to one device (serial number or path),
+ * otherwise the first matching device is used
+ * @param {Function=} options.isAvailable - (device) => false for devices used by other sessions
+ * @param {DeviceWatcher} options.watcher - grips plugged in, shared by the sessions
+ * @param {CalibrationRegistry=} options.calibrations - last known-good calibration of the devices
+ * @param {NormativeData=} options.normative - reference population, scores the max tests
+ *
+ * Link health: a port closed or in error, or no packet for config.stallTimeout
+ * while sampling, is reported as device_lost. With config.reconnect the
+ * session searches the same device again for config.reconnectTimeout and
+ * resumes from a safe state: a new baseline, or finished if it was finished.
+ */
+class MeasurementSession extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.config = options.config || {};
+    this.Port = options.Port;
+    this.clock = options.clock || systemClock;
+    this.log = options.log || defaultLog;
+    this.tempFilePath = options.tempFilePath || this.config.tempFilePath || "./temp.json";
+    this.tempFile = options.tempFile && options.tempFile.hardware ? options.tempFile : emptyTempFile();
+
+    // Correlation with the POD: echoed on every outputData of the session
+    this.sessionId = undefined;
+    this.requestId = undefined;
+    // Who is measured, from the measureStart inputData, saved with the results
+    this.metadata = {};
+    // TrialProtocol running on the session, if any
+    this.protocol = undefined;
+    // Calibration in progress, if any
+    this.calibration = undefined;
+
+    this.deviceId = options.deviceId;
+    // bound to one device, not to the first one found
+    this.bound = Boolean(options.deviceId);
+    this.isAvailable = options.isAvailable || (() => true);
+    this.watcher = options.watcher;
+    // removes the watcher listeners of search()
+    this.stopSearch = undefined;
+    this.calibrations = options.calibrations;
+    this.normative = options.normative;
+    // percentile / z-score of the last max test
+    this.normativeScore = undefined;
+
+    this.socketPath = undefined;
+    this.port = undefined;
+    this.parser = undefined;
+    // corrupt frames since the last valid one, and parser counters at the measurement start
+    this.corruptInRow = 0;
+    this.framesAtStart = undefined;
+    // link health counters, packetRate in Hz over the last second
+    this.link = emptyLinkStats();
+    this.rateWindow = undefined;
+    this.lastPacketAt = undefined;
+    // set while the lost device is searched again, and the state to resume in
+    this.lostAt = undefined;
+    this.resumeState = undefined;
+    this.coef = 0;
+    // coefficient read from the device, this.coef unless a calibration replaced it
+    this.deviceCoef = undefined;
+    this.baseline = 0;
+    // stability window, drift and shifts of the baseline
+    this.baselineTracker = new BaselineTracker({
+      window: this.config.baselineTimeSetting,
+      maxNoise: this.config.baselineMaxNoise,
+      driftLimit: this.config.baselineDriftLimit,
+    });
+    this.num = 0;
+    this.weight = 0;
+    this.weightMax = 0;
+    // peak before the config.filters, weightMax is the filtered one
+    this.rawWeightMax = 0;
+    this.filter = new FilterChain(this.config.filters);
+    this.weightArray = [];
+    // { t, raw, kg[, packet] } for every packet of the measurement, t in ms from the measurement start
+    this.samples = [];
+    this.measureStart = 0;
+    // how the measurement ends (config.end, inputData.end), and how the last one ended
+    this.end = resolveEnd(this.config);
+    this.endDetector = new EndDetector(this.end);
+    this.ended = undefined;
+    // test asked (config.testModes, inputData.test), the endurance / repeated test running,
+    // and the max of the last max test per patient and hand, reference of the endurance test
+    this.test = resolveTest(this.config);
+    this.testRun = undefined;
+    this.lastMaxes = new Map();
+
+    // Named timers:
+    // algorithm      --> general timeout of the measureStart / measureSamplingOn flow
+    // samplingDelay  --> wait for the coefficient before Sampling=On
+    // startSampling  --> baseline must stay above config.baseline, and stable, for config.baselineTimeSetting
+    // cancelSampling --> baseline lost for config.baselineTimeNotSet
+    // retare         --> armed, the grip set down for config.baselineTimeNotSet
+    // measurement    --> the actual measurement, config.duration or the maxDuration of config.end
+    // protocolRest   --> rest countdown between the trials of a protocol (trial-protocol.js)
+    // calibrationCapture --> averaging window of a calibration point, config.calibrationWindow
+    // linkStall      --> no packet for config.stallTimeout while sampling
+    // repCadence     --> next work / rest cue of a repeated test
+    this.timers = new Map();
+
+    this.fsm = new StateMachine();
+    this.fsm.on('transition', (state, previous) => {
+      this.log(3, `State: ${previous} --> ${state}`);
+      if (state === IDLE) {
+        this.clearTimers();
+        this.calibration = undefined;
+        this.lostAt = undefined;
+        this.resumeState = undefined;
+      }
+      if (previous === SEARCHING && this.stopSearch) this.stopSearch();
+      // a re-tare keeps the count of the re-tares of the measurement
+      if (state === WAITING_BASELINE && previous !== ARMED) this.baselineTracker.reset();
+      // sampling is off, a silent stream is expected
+      if (state === FINISHED) this.clearTimer("linkStall");
+      this.emitMessage({ message: "state_changed", state, previous });
+    });
+  }
+
+  get state() {
+    return this.fsm.state;
+  }
+
+  get reconnecting() {
+    return this.lostAt !== undefined;
+  }
+
+  /**
+   * accepts
+   * @param {String} cmd - ZeroMQ command
+   */
+  accepts(cmd) {
+    return this.fsm.accepts(cmd);
+  }
+
+  /**
+   * deviceInfo
+   * device state returned by hello / getInfo
+   */
+  deviceInfo() {
+    return {
+      deviceId: this.deviceId,
+      state: this.state,
+      connected: Boolean(this.port && this.port.isOpen),
+      path: this.socketPath || this.watcher.lastPath(this.deviceId),
+      coef: this.coef,
+      calibration: this.calibrations ? this.calibrations.get(this.deviceId) : undefined,
+      link: this.linkStats(),
+    };
+  }
+
+  /**
+   * linkStats
+   * packet rate and error counters of the serial link, since the session creation
+   */
+  linkStats() {
+    const { link, lastPacketAt } = this;
+    const silent = lastPacketAt === undefined || this.hrnow() - lastPacketAt > 1000;
+    return { ...link, packetRate: silent ? 0 : link.packetRate };
+  }
+
+  /**
+   * correlate
+   * Binds the next messages to the command that caused them
+   * @param {Object} ids
+   * @param {String=} ids.sessionId - kept until a new one is given
+   * @param {String=} ids.requestId
+   */
+  correlate({ sessionId, requestId } = {}) {
+    if (sessionId !== undefined) this.sessionId = sessionId;
+    this.requestId = requestId;
+  }
+
+  /**
+   * setMetadata
+   * measureStart / protocolStart: a new patient, the previous maxes are forgotten
+   * @param {Object} inputData - measureStart inputData
+   */
+  setMetadata(inputData = {}) {
+    this.lastMaxes.clear();
+    this.metadata = {};
+    METADATA_FIELDS.forEach((field) => {
+      if (inputData[field] !== undefined) this.metadata[field] = inputData[field];
+    });
+  }
+
+  /**
+   * setEnd
+   * @param {Object=} end - inputData.end, over config.end
+   */
+  setEnd(end) {
+    this.end = resolveEnd(this.config, end);
+    this.endDetector = new EndDetector(this.end);
+  }
+
+  /**
+   * setTest
+   * @param {Object=} test - inputData.test, over config.testModes
+   */
+  setTest(test) {
+    this.test = resolveTest(this.config, test);
+  }
+
+  /**
+   * lastMax
+   * max of the last max test of the current patient and hand
+   */
+  get lastMax() {
+    return this.lastMaxes.get(maxKey(this.metadata));
+  }
+
+  /**
+   * referenceMax
+   * previous max of an endurance test: given with the test, or the last max measured
+   */
+  get referenceMax() {
+    return this.test.referenceMax || this.lastMax;
+  }
+
+  /**
+   * emitMessage
+   * @param {*} payload - outputData sent to the POD and to the gauge,
+   * deviceId, sessionId and requestId are added unless the payload sets them
+   */
+  emitMessage(payload) {
+    this.emit('message', {
+      ...payload,
+      deviceId: "deviceId" in payload ? payload.deviceId : this.deviceId,
+      sessionId: "sessionId" in payload ? payload.sessionId : this.sessionId,
+      requestId: "requestId" in payload ? payload.requestId : this.requestId,
+    });
+  }
+
+  /**
+   * setTimer
+   * @param {String} name
+   * @param {Function} fn
+   * @param {number} ms
+   * @param {boolean=} interval
+   */
+  setTimer(name, fn, ms, interval) {
+    this.clearTimer(name);
+    const { clock } = this;
+    const timer = interval
+      ? clock.setInterval(fn, ms)
+      : clock.setTimeout(() => {
+          this.timers.delete(name);
+          fn();
+        }, ms);
+    this.timers.set(name, { timer, interval });
+  }
+
+  /**
+   * hasTimer
+   * @param {String} name
+   */
+  hasTimer(name) {
+    return this.timers.has(name);
+  }
+
+  /**
+   * clearTimer
+   * @param {String} name
+   */
+  clearTimer(name) {
+    const entry = this.timers.get(name);
+    if (!entry) return;
+    if (entry.interval) this.clock.clearInterval(entry.timer);
+    else this.clock.clearTimeout(entry.timer);
+    this.timers.delete(name);
+  }
+
+  clearTimers() {
+    [...this.timers.keys()].forEach((name) => this.clearTimer(name));
+  }
+
+  /**
+   * start
+   * measureStart: search the device and open it. After a measurement
+   * (finished) the port is closed and the device opened again, as a first
+   * measureStart; a protocol still running on the session is aborted.
+   */
+  start() {
+    const { config, log } = this;
+    if (this.fsm.is(FINISHED)) {
+      if (this.protocol) this.protocol.abort();
+      this.closePort();
+      this.socketPath = undefined;
+    }
+    this.fsm.transition(SEARCHING);
+    this.setTimer("algorithm", () => {
+      if (!this.socketPath) return this.endAlgorithm(NO_DEVICE_FOUND);
+      log(1, "Timeout, nobody showed up");
+      this.emitMessage({ message: "timeout" });
+      return this.endAlgorithm(TIMEOUT);
+    }, config.timeout); // 1/2 minute to general timeout + 5 seconds of start measurement
+
+    this.search();
+  }
+
+  /**
+   * search
+   * Opens the device as soon as the watcher lists it: at once when it is
+   * already plugged in, on its attach otherwise
+   * @param {boolean=} rescan - wait for the next scan, the current list may be stale (lost device)
+   */
+  search(rescan) {
+    const { watcher, log } = this;
+    log(3, "Searching K-Grip...");
+    const pick = (devices) => {
+      if (!this.fsm.is(SEARCHING)) return;
+      const device = devices.find((device) => (
+        (!this.deviceId || deviceIdOf(device) === this.deviceId) && this.isAvailable(device)
+      ));
+      if (!device) return;
+      this.deviceId = deviceIdOf(device);
+      this.socketPath = device.path;
+      log(3, "Found it on path:", this.socketPath);
+      log(3, "wait to set baseline");
+      if (!this.reconnecting) this.emitMessage({ message: "device_found" });
+      this.open(this.socketPath);
+    };
+    const fail = () => {
+      if (this.fsm.is(SEARCHING)) this.endAlgorithm(PLUGIN_ERROR);
+    };
+    watcher.on('devices', pick);
+    watcher.on('scanError', fail);
+    this.stopSearch = () => {
+      watcher.removeListener('devices', pick);
+      watcher.removeListener('scanError', fail);
+      this.stopSearch = undefined;
+    };
+    if (!rescan) pick(watcher.list());
+  }
+
+  /**
+   * startSampling
+   * measureSamplingOn: new measurement on the already opened device
+   */
+  startSampling() {
+    const { log } = this;
+    this.setTimer("algorithm", ()=>{
+      log(1, "timeout during measureSamplingOn");
+      this.emitMessage({ message: "timeout" });
+      this.endAlgorithm(TIMEOUT);
+    },this.config.timeout);
+
+    this.fsm.transition(WAITING_BASELINE);
+    this.emitMessage({ message: "measureSamplingOn" });
+    this.samplingOn();
+  }
+
+  /**
+   * samplingOn
+   * Sampling=On, the stream is watched from now on
+   */
+  samplingOn() {
+    this.sendCommand(commands[SamplingOn]);
+    this.watchStream();
+  }
+
+  /**
+   * watchStream
+   * (Re)starts the stall timer, config.stallTimeout without packet means the device is lost
+   */
+  watchStream() {
+    const stallTimeout = this.config.stallTimeout || 1000;
+    this.setTimer("linkStall", () => {
+      this.link.stalls++;
+      this.linkLost("stall", `No packet for ${stallTimeout} ms`);
+    }, stallTimeout);
+  }
+
+  /**
+   * linkLost
+   * The port was closed, is in error or the stream stalled. Without
+   * config.reconnect the session ends with DEVICE_LOST, otherwise the same
+   * device is searched again for config.reconnectTimeout. A measurement in
+   * progress is lost and recorded with DEVICE_LOST.
+   * @param {String} reason - closed, error or stall
+   * @param {String} detail
+   */
+  linkLost(reason, detail) {
+    const { config, log } = this;
+    if (this.fsm.is(IDLE, SEARCHING, OPENING, STOPPING)) return;
+    const state = this.state;
+    const reconnect = Boolean(config.reconnect);
+    log(1, `Device lost (${reason}) in ${state}:`, detail);
+    this.emitMessage({ message: "device_lost", reason, detail, state, reconnect, link: this.linkStats() });
+    if (!reconnect) return this.endAlgorithm(DEVICE_LOST, detail);
+
+    if (this.fsm.is(MEASURING)) this.emit('result', this.record(DEVICE_LOST));
+    // the protocol rest goes on while the device is searched
+    [...this.timers.keys()].filter((name) => name !== "protocolRest").forEach((name) => this.clearTimer(name));
+    this.closePort();
+    this.weightArray.length = 0;
+    this.samples = [];
+    this.baseline = 0;
+
+    if (state === FINISHED) this.resumeState = FINISHED;
+    if (!this.reconnecting) this.lostAt = this.clock.now();
+    this.fsm.transition(SEARCHING);
+    const reconnectTimeout = config.reconnectTimeout || 30000;
+    this.setTimer("algorithm", () => {
+      this.endAlgorithm(DEVICE_LOST, `Not reconnected within ${reconnectTimeout} ms`);
+    }, reconnectTimeout);
+    this.search(true);
+  }
+
+  /**
+   * resume
+   * The lost device is open again
+   */
+  resume() {
+    const { config, log } = this;
+    const downtime = this.clock.now() - this.lostAt;
+    this.link.reconnects++;
+    this.lostAt = undefined;
+    log(3, "Device reconnected after", downtime, "ms");
+    this.emitMessage({ message: "device_reconnected", downtime, link: this.linkStats() });
+
+    const resumeState = this.resumeState;
+    this.resumeState = undefined;
+    this.clearTimer("algorithm");
+    if (resumeState === FINISHED) return this.fsm.transition(FINISHED);
+    if (this.calibration) return this.enterCalibration();
+    this.setTimer("algorithm", () => {
+      log(1, "timeout after the reconnection");
+      this.emitMessage({ message: "timeout" });
+      this.endAlgorithm(TIMEOUT);
+    }, config.timeout);
+    this.fsm.transition(WAITING_BASELINE);
+    this.samplingOn();
+  }
+
+  /**
+   * stop
+   * measureStop: clear every timer and close the port
+   */
+  stop() {
+    const { clock, log } = this;
+    if (this.fsm.is(IDLE, STOPPING)) return;
+
+    // Clearing all the timeouts
+    this.clearTimers();
+    this.fsm.transition(STOPPING);
+    log(3, "Stop Measure");
+
+    // Closing the port
+    if (!this.port) return this.fsm.transition(IDLE);
+
+    clock.setTimeout(() => {
+      try {
+        this.sendCommand(commands[DeviceOff]);
+        log(3, "Closing Port");
+      } catch (error) {
+        log(1, "Closing port ", error);
+      }
+      clock.setTimeout(() => {
+        this.closePort();
+        this.fsm.transition(IDLE);
+      }, 200);
+     }, 500);
+  }
+
+  /**
+   * closePort
+   */
+  closePort() {
+    const { port } = this;
+    // cleared first: the close event of this port is not a lost device
+    this.port = undefined;
+    this.parser = undefined;
+    port && port.isOpen && port.close();
+  }
+
+  /**
+   * emitError
+   * Structured error reply, see error-catalogue.js
+   * @param {number} code
+   * @param {String=} errorMessage
+   * @param {String=} state - state the error happened in
+   */
+  emitError(code, errorMessage, state = this.state) {
+    const { name, message } = describeError(code, errorMessage);
+    this.emitMessage({
+      message: "error",
+      code,
+      name,
+      error: message,
+      state,
+      catalogueVersion: ERROR_CATALOGUE_VERSION,
+    });
+  }
+
+  /**
+   * endAlgorithm
+   * Without error the session is left in finished with the port open,
+   * ready for a new measureSamplingOn. On error the port is closed.
+   * @param {number=} error - code from the error catalogue
+   * @param {String=} errorMessage
+   */
+  endAlgorithm(error, errorMessage) {
+    const { log } = this;
+    const state = this.state;
+    this.clearTimers();
+    if (error) {
+      const { message } = describeError(error, errorMessage);
+      log(1, message);
+      if (!this.tempFile.messages) this.tempFile.messages = [];
+      this.tempFile.messages.push({
+        code: error,
+        message,
+      });
+      this.emitError(error, errorMessage, state);
+      if (this.port) {
+        this.sendCommand(commands[DeviceOff]);
+        this.closePort();
+      }
+    }
+
+    this.tempFile.inputData = { ...this.metadata };
+    // every run ends up in the measurement history, errors included
+    this.emit('result', this.record(error));
+
+    this.weightArray.length = 0;
+    this.samples = [];
+    this.baseline = 0;
+    this.ended = undefined;
+    this.testRun = undefined;
+    this.normativeScore = undefined;
+
+    if (this.port) {
+       this.sendCommand(commands[SamplingOff]);
+    }
+
+    if (error) {
+      if (!this.fsm.is(IDLE)) this.fsm.transition(IDLE);
+    } else if (this.fsm.is(MEASURING)) {
+      this.fsm.transition(FINISHED);
+    }
+
+    this.tempFile.deviceId = this.deviceId;
+    fs.writeFile(this.resultsFilePath(), JSON.stringify(this.tempFile), (err) => {
+      if (err) {
+        log(1, "Temp file write failed:", err);
+        return this.emitError(TEMP_FILE_ERROR, `Temp file: ${err.message}`);
+      }
+      log(3, "Temp.json file written");
+      this.tempFile = emptyTempFile();
+    });
+  }
+
+  /**
+   * resultsFilePath
+   * config.tempFilePath, one file per grip while several are plugged in: a two-grip
+   * run does not overwrite the results of the other hand
+   */
+  resultsFilePath() {
+    const several = this.bound && this.watcher && this.watcher.list().length > 1;
+    return several ? deviceFilePath(this.tempFilePath, this.deviceId) : this.tempFilePath;
+  }
+
+  /**
+   * record
+   * History record of the current run
+   * @param {number=} error
+   */
+  record(error) {
+    const weights = this.weightArray;
+    return {
+      sessionId: this.sessionId,
+      deviceId: this.deviceId,
+      ...this.metadata,
+      coef: this.coef,
+      baseline: this.baseline,
+      baselineStats: this.baselineTracker.stats(this.coef),
+      rawSamples: this.samples.slice(),
+      max: weights.length ? this.weightMax : null,
+      rawMax: weights.length ? this.rawWeightMax : null,
+      filters: this.filter.describe(),
+      avg: weights.length ? Number((weights.reduce((a, b) => a + b, 0) / weights.length).toFixed(1)) : null,
+      metrics: this.samples.length ? computeMetrics(this.samples) : null,
+      frames: this.frameStats(),
+      end: this.ended,
+      test: this.testRun && this.testRun.result(),
+      normative: this.normativeScore,
+      errorCode: error || null,
+    };
+  }
+
+  /**
+   * checkCalibration
+   * The coefficient just read against the calibration registry: warns when it
+   * changed or the calibration expired, and with config.refuseExpiredCalibration
+   * refuses to measure without a valid calibration. The first coefficient of
+   * a device never calibrated becomes its known-good one.
+   * @returns {boolean} false when the measurement is refused
+   */
+  checkCalibration() {
+    const { calibrations, config, log } = this;
+    if (!calibrations) return true;
+
+    const status = calibrations.check(this.deviceId, this.coef);
+    // a calibration not written to the device replaces its coefficient, as long as the device keeps it
+    if (status.appliedCoef !== undefined && !status.reasons.includes("coef_changed")) {
+      log(3, "Coef of the calibration applied:", status.appliedCoef, "device:", this.coef);
+      this.coef = status.appliedCoef;
+    }
+    if (status.reasons.includes("not_calibrated")) {
+      calibrations.record(this.deviceId, { coef: this.coef, date: new Date(this.clock.now()).toISOString(), source: "first_seen" })
+        .catch((err) => log(1, "Calibration registry write failed:", err));
+    } else if (status.source === "first_seen" && config.refuseExpiredCalibration) {
+      // the coefficient seen first is a reference, not a calibration
+      status.reasons.push("not_calibrated");
+    }
+    if (!status.reasons.length) return true;
+    log(2, "Calibration warning:", status.reasons.join(", "), "coef", this.coef, "expected", status.expectedCoef);
+    this.emitMessage({ message: "calibration_warning", ...status });
+
+    const invalid = status.reasons.includes("expired") || status.reasons.includes("not_calibrated");
+    // a calibration is the way out, it is never refused
+    if (invalid && config.refuseExpiredCalibration && !this.calibration) {
+      this.endAlgorithm(CALIBRATION_EXPIRED);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * startCalibration
+   * calibrationStart: opens the device when idle, then streams the raw values
+   * @param {String=} operatorId
+   */
+  startCalibration(operatorId) {
+    this.calibration = new Calibration({ operatorId, clock: this.clock });
+    if (this.fsm.is(IDLE)) return this.start();
+    this.enterCalibration();
+  }
+
+  /**
+   * enterCalibration
+   * The device is open: sampling on, without baseline nor trigger
+   */
+  enterCalibration() {
+    this.clearTimer("algorithm");
+    this.calibration.previousCoef = this.coef;
+    this.fsm.transition(CALIBRATING);
+    this.samplingOn();
+    this.emitMessage({ message: "calibration_started", coef: this.coef });
+  }
+
+  /**
+   * captureCalibration
+   * calibrationZero / calibrationPoint: averages the raw values over
+   * config.calibrationWindow, then fits the coefficient on the points so far
+   * @param {number} mass - kg hung on the grip, 0 for the zero
+   */
+  captureCalibration(mass) {
+    const { calibration, log } = this;
+    calibration.startCapture();
+    this.setTimer("calibrationCapture", () => {
+      const point = calibration.endCapture(mass);
+      if (!point) return this.emitError(CALIBRATION_ERROR, "No samples received during the capture");
+      log(3, "Calibration point:", JSON.stringify(point));
+      this.emitMessage({
+        message: "calibration_point",
+        ...point,
+        points: calibration.points.length,
+        zeroed: Boolean(calibration.zero),
+      });
+      if (calibration.result) {
+        log(3, "Calibration fit:", JSON.stringify(calibration.result));
+        this.emitMessage({ message: "calibration_fit", previousCoef: calibration.previousCoef, ...calibration.result });
+      }
+    }, this.config.calibrationWindow || 2000);
+  }
+
+  /**
+   * confirmCalibration
+   * calibrationConfirm: applies the fitted coefficient and logs the calibration. The
+   * SetCoef payload is not confirmed on a real KForceGrip, the coefficient is only
+   * written to the device with config.calibrationWriteCoef (experimental), else the
+   * registry keeps it and it replaces the device one on every connection
+   * @param {String=} operatorId - overrides the one given to calibrationStart
+   */
+  confirmCalibration(operatorId) {
+    const { calibration, config, log } = this;
+    if (operatorId !== undefined) calibration.operatorId = operatorId;
+    const { coef } = calibration.result;
+    const written = Boolean(config.calibrationWriteCoef);
+
+    this.sendCommand(commands[SamplingOff]);
+    if (written) {
+      this.sendCommand([
+        Buffer.concat([commands[SetCoef][commandCode], Buffer.from(coefDigits(coef))]),
+        commands[SetCoef][commandDesc],
+      ]);
+      log(3, "Coef written:", coef, "previous:", calibration.previousCoef);
+    } else {
+      log(3, "Coef applied, not written to the device:", coef, "device:", calibration.previousCoef);
+    }
+    this.coef = coef;
+
+    const entry = { ...calibration.entry(this.deviceId), written };
+    appendLog(this.config.calibrationLogPath || "./calibration.jsonl", entry).catch((err) => {
+      log(1, "Calibration log write failed:", err);
+      this.emitError(CALIBRATION_ERROR, `Calibration log: ${err.message}`);
+    });
+    if (this.calibrations) {
+      // deviceCoef: the coefficient the device still holds
+      const known = written ? entry : { ...entry, deviceCoef: this.deviceCoef };
+      this.calibrations.record(this.deviceId, known).catch((err) => {
+        log(1, "Calibration registry write failed:", err);
+        this.emitError(CALIBRATION_ERROR, `Calibration registry: ${err.message}`);
+      });
+    }
+
+    this.calibration = undefined;
+    this.fsm.transition(FINISHED);
+    this.emitMessage({
+      message: "calibration_done",
+      coef,
+      previousCoef: entry.previousCoef,
+      operatorId: entry.operatorId,
+      date: entry.date,
+      written,
+    });
+  }
+
+  /**
+   * cancelCalibration
+   * calibrationCancel: the device keeps its coefficient
+   */
+  cancelCalibration() {
+    this.clearTimer("calibrationCapture");
+    this.calibration = undefined;
+    this.sendCommand(commands[SamplingOff]);
+    this.fsm.transition(FINISHED);
+    this.emitMessage({ message: "calibration_cancelled", coef: this.coef });
+  }
+
+  /**
+   * hrnow
+   * high-resolution time in ms, falls back to clock.now() for clocks without it
+   */
+  hrnow() {
+    return this.clock.hrnow ? this.clock.hrnow() : this.clock.now();
+  }
+
+  /**
+   * sampleRate
+   * average sampling rate of the measurement, in Hz
+   */
+  sampleRate() {
+    const { samples } = this;
+    if (samples.length < 2) return null;
+    const elapsed = samples[samples.length - 1].t - samples[0].t;
+    return elapsed > 0 ? Number((((samples.length - 1) * 1000) / elapsed).toFixed(1)) : null;
+  }
+
+  /**
+   * sendCommand
+   * @param {*} command
+   */
+  sendCommand(command) {
+    const { log } = this;
+    this.port &&
+      this.port.write(command[commandCode], (err) => {
+        if (err) {
+          log(1, "Error on send command: ", err.message);
+          this.link.writeErrors++;
+          if (this.fsm.is(IDLE, STOPPING)) return;
+          return this.endAlgorithm(DEVICE_ERROR);
+        }
+        log(3, "command sent:", command[commandDesc]);
+      });
+    if(!this.port) {
+      log(1, "Port Not Opened", command);
+    }
+  }
+
+  /**
+   * open
+   * Opens the KGrip on socketPath, reads the coefficient and turns the sampling on
+   * @param {*} socketPath
+   */
+  open(socketPath) {
+    const { config, log } = this;
+    this.fsm.transition(OPENING);
+    const port = new this.Port(
+      {
+        path: socketPath,
+        baudRate: 115200,
+        dataBits: 8,
+        parity: "none",
+        stopBits: 1,
+       },
+    );
+    this.port = port;
+
+    port.on('error', error => {
+      log(1, error);
+      if (this.port !== port) return;
+      this.link.portErrors++;
+      // the port could not be opened, a lost device may not be back yet
+      if (this.fsm.is(OPENING) && this.reconnecting) {
+        this.closePort();
+        this.fsm.transition(SEARCHING);
+        return this.search(true);
+      }
+      if (this.fsm.is(OPENING)) return this.endAlgorithm(DEVICE_ERROR, error.message);
+      this.linkLost("error", error.message);
+    })
+
+    // closed by closePort() the port is no longer this.port
+    port.on('close', () => {
+      if (this.port !== port) return;
+      this.link.disconnects++;
+      this.linkLost("closed", "Port closed");
+    });
+
+    port.on('open', () =>{
+      if (this.port !== port || !this.fsm.is(OPENING)) return;
+      log(3, "Connected");
+      this.fsm.transition(READING_COEF);
+      // Framing: sample packets and coefficient replies are told apart by the parser
+      const parser = port.pipe(new KGripParser({ checksum: config.checksum }));
+      this.parser = parser;
+      this.corruptInRow = 0;
+      parser.on("data", (data) => this.checkResponse(data));
+      parser.on("coef", (coef) => {
+        // Reading the Coef, a calibration not written to the device may replace it (checkCalibration)
+        this.coef = coef;
+        this.deviceCoef = coef;
+        log(3, "Coef: ", this.coef);
+      });
+      parser.on("corrupt", (frame) => this.corruptFrame(frame));
+      // Send Coef reading message
+      this.sendCommand(commands[SamplingOff]);
+      this.sendCommand(commands[GetCoef]);
+      this.setTimer("samplingDelay", () => {
+        if (!this.checkCalibration()) return;
+        if (this.reconnecting) return this.resume();
+        if (this.calibration) return this.enterCalibration();
+        // Sampling=On
+        this.fsm.transition(WAITING_BASELINE);
+        this.samplingOn();
+        }, config.samplingDelay);
+    }
+  )
+  }
+
+  /**
+   * corruptFrame
+   * A frame dropped by the parser: config.maxCorruptFrames in a row means the
+   * stream cannot be trusted anymore
+   * @param {{ reason: String, bytes: Buffer }} frame
+   */
+  corruptFrame(frame) {
+    const { config, log } = this;
+    this.corruptInRow++;
+    this.link.corrupt++;
+    log(2, `Corrupt frame (${frame.reason}):`, frame.bytes.toString("hex"));
+    if (
+      this.corruptInRow >= (config.maxCorruptFrames || 10) &&
+      this.fsm.is(WAITING_BASELINE, ARMED, MEASURING, CALIBRATING)
+    ) {
+      this.endAlgorithm(CHECKSUM_ERROR, `${this.corruptInRow} corrupt frames in a row`);
+    }
+  }
+
+  /**
+   * frameStatus
+   * "00" unless config.maxCorruptFrames frames were dropped during the measurement
+   */
+  frameStatus() {
+    const frames = this.frameStats();
+    return frames && frames.corrupt >= (this.config.maxCorruptFrames || 10) ? CHECKSUM_ERROR : "00";
+  }
+
+  /**
+   * frameStats
+   * Parser counters since the measurement start
+   */
+  frameStats() {
+    if (!this.parser || !this.framesAtStart) return undefined;
+    const { stats } = this.parser;
+    const stats0 = this.framesAtStart;
+    return {
+      packets: stats.packets - stats0.packets,
+      corrupt: stats.corrupt - stats0.corrupt,
+      checksumErrors: stats.checksumErrors - stats0.checksumErrors,
+      droppedBytes: stats.droppedBytes - stats0.droppedBytes,
+    };
+  }
+
+  /**
+   * countPacket
+   * @param {number} now - arrival time of a valid packet
+   */
+  countPacket(now) {
+    const { link } = this;
+    link.packets++;
+    this.lastPacketAt = now;
+    if (!this.rateWindow) this.rateWindow = { start: now, packets: 0 };
+    this.rateWindow.packets++;
+    const elapsed = now - this.rateWindow.start;
+    if (elapsed >= 1000) {
+      link.packetRate = Number(((this.rateWindow.packets - 1) * 1000 / elapsed).toFixed(1));
+      this.rateWindow = { start: now, packets: 1 };
+    }
+  }
+
+  /**
+   *
+   * @param {data} buffer
+   */
+  checkResponse(data) {
+    const { config, log } = this;
+    // arrival time of the packet
+    const now = this.hrnow();
+    this.corruptInRow = 0;
+    this.countPacket(now);
+    if (this.fsm.is(WAITING_BASELINE, ARMED, MEASURING, CALIBRATING)) this.watchStream();
+    //
+    //  Read value from the Nth measurement packets
+    //
+    //    eg. FF FF FE 0D AC 00 00 00 00 00 40
+    //
+    //    concat the 3rd and 4rd byte and convert it to int
+    //    eg. 0D, AC --> '0DAC' --> to int --> 3500
+    //
+
+    // The first packet contain the Baseline
+    const value = parseInt(
+      data[3]
+        .toString(16)
+        .padStart(2, "0")
+        .concat(data[4].toString(16).padStart(2, "0")),
+      16
+    );
+
+    if (this.fsm.is(CALIBRATING)) {
+      this.calibration.addSample(value);
+    } else if (this.fsm.is(WAITING_BASELINE)) {
+      /**
+       * If the value does not remain above config.baseline for at least 3 seconds,
+       * the baseline will not be set. The baseline is the mean of these values,
+       * if they were stable enough.
+       */
+      if (value > config.baseline) this.baselineTracker.add(value, now);
+      if (value > config.baseline && !this.hasTimer("startSampling")) {
+        this.clearTimer("cancelSampling");
+        log(3, "Potential Baseline:", value, config.baseline);
+
+        log(3, "start timeout for start sampling");
+        this.setTimer("startSampling", () => {
+          const { baselineTracker } = this;
+          const window = baselineTracker.evaluate(this.coef);
+          if (!window.stable) {
+            // a new window starts with the next value
+            log(2, "baseline unstable, noise:", window.noise.toFixed(3), "Kg", "- outliers:", window.outliers);
+            return this.emitMessage({
+              message: "baseline_unstable",
+              noise: Number(window.noise.toFixed(3)),
+              maxNoise: baselineTracker.maxNoise,
+              outliers: window.outliers,
+            });
+          }
+          baselineTracker.set(window);
+          this.baseline = baselineTracker.value;
+          this.num = this.baseline;
+          log(3, "baseline ok, start measure :", this.baseline, "noise:", window.noise.toFixed(3), "Kg");
+          this.weightMax = 0;
+          this.rawWeightMax = 0;
+          this.filter.reset();
+          this.fsm.transition(ARMED);
+          const { noise, samples, outliers } = baselineTracker.stats(this.coef);
+          this.emitMessage({ message: "baseline_ok", baseline: this.baseline, noise, samples, outliers });
+          this.startTest();
+        }, config.baselineTimeSetting);
+      }
+      // if the value is below the baseline threshold:
+      // - clear the eventual previsous timeout
+      // - start a timer to cancel the above timer. If a value bigger than config.baseline
+      // is detected within 500ms, this timer will be cancelled
+      else if (value < config.baseline && !this.hasTimer("cancelSampling")) {
+        this.setTimer("cancelSampling", () => {
+          this.clearTimer("startSampling");
+          this.baselineTracker.clearWindow();
+          log(3, "baseline_stop");
+          this.emitMessage({ message: "baseline_stop", code: 1001 });
+        }, config.baselineTimeNotSet);
+      }
+    } else if (this.fsm.is(ARMED) && value < config.baseline) {
+      // the grip was set down: no weight, a new baseline is taken once it is picked up again
+      if (!this.hasTimer("retare")) this.setTimer("retare", () => this.retare(), config.baselineTimeNotSet);
+    } else if (this.fsm.is(ARMED, MEASURING)) {
+      this.clearTimer("retare");
+      // Weight formula, in [Kg]:
+      // Weight = (Baseline - Nth value) * Coef
+      // weight = Math.abs((baseline - value) * coef)
+      const b = new Big(this.baseline);
+      const rawWeight = b
+        .minus(value)
+        .times(this.coef)
+        .abs()
+        .round(config.bigRound)
+        .toNumber();
+      // config.filters, trigger, gauge and results use the filtered weight
+      this.weight = this.filter.active
+        ? new Big(this.filter.process(rawWeight)).round(config.bigRound).toNumber()
+        : rawWeight;
+      const weight = this.weight;
+      // unloaded grip: the baseline follows the drift, a shift is reported
+      if (this.fsm.is(ARMED) && weight <= config.trigger) this.trackBaseline(value, now);
+      if (weight > config.trigger) {
+        // trigger start if weight > 0.8 value
+        if (this.fsm.is(ARMED)) {
+          log(3, "Start Measurement");
+
+          this.clearTimer("algorithm");
+          this.fsm.transition(MEASURING);
+          // the sample times are relative to the packet that triggered the measurement
+          this.measureStart = now;
+          this.framesAtStart = { ...this.parser.stats };
+          this.ended = undefined;
+          this.endDetector.reset();
+          // config.duration, the cap of the release / decline modes, or the length of the test
+          const { ms, reason } = (this.testRun || this.endDetector).timer();
+          this.setTimer("measurement", () => this.endMeasurement(reason), ms);
+          if (this.testRun && this.testRun.cue) this.cueRep(0);
+        }
+      }
+      if (this.fsm.is(MEASURING)) {
+        // every packet of the measurement is a sample, the ones under the trigger included
+        const sample = { t: Number((now - this.measureStart).toFixed(3)), raw: value, kg: weight };
+        if (this.filter.active) sample.rawKg = rawWeight;
+        if (config.keepPackets) sample.packet = data.toString("hex");
+        this.samples.push(sample);
+        if (weight < config.ceilWeight) {
+          // weightMax and weightArray only take the weights over the trigger and valid (less than config.ceilWeight)
+          if (weight > config.trigger) {
+            if (weight > this.weightMax) {
+              // updating weightMax
+              this.weightMax = weight;
+            }
+            if (rawWeight > this.rawWeightMax) this.rawWeightMax = rawWeight;
+            this.weightArray.push(weight);
+          }
+          this.emitMessage({ message: "measure_received", value: weight.toFixed(1) });
+          log(3, "Weight: ", weight.toFixed(1), " - WeightMax: ", this.weightMax.toFixed(1))
+        }
+
+        // release / decline end the measurement before its timer, endurance and repeated tests end by themselves
+        const t = now - this.measureStart;
+        const { rep, end } = this.testRun ? this.testRun.update(t, weight) : { end: this.endDetector.update(t, weight) };
+        if (rep) this.emitMessage({ message: "rep_detected", ...rep, reps: this.test.reps });
+        if (end) this.endMeasurement(end);
+      }
+    }
+  }
+
+  /**
+   * startTest
+   * Armed: the endurance / repeated test is ready, its target band is sent to the gauge
+   */
+  startTest() {
+    const { test } = this;
+    const referenceMax = this.referenceMax;
+    if (test.mode === "endurance" && !referenceMax) {
+      return this.endAlgorithm(INVALID_DATA, "Endurance test without a previous max");
+    }
+    this.testRun = createTest(test, { trigger: this.config.trigger, referenceMax });
+    if (!this.testRun) return;
+    const cadence = test.mode === "repeated" ? { reps: test.reps, work: test.work, rest: test.rest } : {};
+    this.emitMessage({ message: "test_target", mode: test.mode, ...this.testRun.band, ...cadence });
+  }
+
+  /**
+   * cueRep
+   * work / rest cue of a repeated test, until the last rep
+   * @param {number} t - ms from the measurement start
+   */
+  cueRep(t) {
+    const cue = this.testRun.cue(t);
+    if (cue.rep > this.test.reps) return;
+    this.emitMessage({ message: "rep_cue", ...cue, reps: this.test.reps });
+    this.setTimer("repCadence", () => this.cueRep(t + cue.remaining), cue.remaining);
+  }
+
+  /**
+   * endMeasurement
+   * @param {String} reason - duration, maxDuration, release or decline
+   */
+  endMeasurement(reason) {
+    const { log } = this;
+    this.clearTimer("measurement");
+    this.ended = {
+      mode: this.testRun ? this.test.mode : this.end.mode,
+      reason,
+      t: Number((this.hrnow() - this.measureStart).toFixed(3)),
+    };
+    log(3, "Stop Measurement:", reason, "after", this.ended.t, "ms");
+    if (!this.weightArray.length) return this.endAlgorithm(INVALID_DATA);
+    checkError(this.frameStatus(), (error, errorMessage) => {
+      if (error) return this.endAlgorithm(error, errorMessage);
+      this.finish();
+      return this.endAlgorithm();
+    });
+  }
+
+  /**
+   * trackBaseline
+   * Armed, the grip unloaded: see baseline-tracker.js
+   * @param {number} value - raw value of the packet
+   * @param {number} now - arrival time
+   */
+  trackBaseline(value, now) {
+    const { baselineTracker, log } = this;
+    baselineTracker.add(value, now);
+    const change = baselineTracker.track(this.coef);
+    if (!change) return;
+    if (change.type === "drift") {
+      this.baseline = baselineTracker.value;
+      return log(3, "Baseline drift:", change.previous, "-->", this.baseline);
+    }
+
+    // the baseline stays, the grip may be loaded
+    log(2, "Baseline shift:", change.offset, "Kg, baseline kept at", this.baseline);
+    const { shifts } = baselineTracker.stats(this.coef);
+    this.emitMessage({ message: "baseline_shift", baseline: this.baseline, offset: change.offset, shifts });
+  }
+
+  /**
+   * retare
+   * Armed, the grip set down: the baseline is dropped, the next stable window
+   * (waiting_baseline) gives the new one
+   */
+  retare() {
+    const { baselineTracker, log } = this;
+    const previous = this.baseline;
+    baselineTracker.retare();
+    this.fsm.transition(WAITING_BASELINE);
+    log(2, "Grip set down, baseline", previous, "dropped, waiting a new one");
+    this.emitMessage({ message: "baseline_retare", previous, retares: baselineTracker.retares });
+  }
+
+  /**
+   * finish
+   * Stores the results in temp.json and emits measure_finish
+   */
+  finish() {
+    const { log } = this;
+    const outputData = this.tempFile.outputData;
+    outputData.weightMax = this.weightMax.toFixed(1);
+    outputData.rawWeightMax = this.rawWeightMax.toFixed(1);
+    outputData.filters = this.filter.describe();
+    outputData.weightArray = JSON.stringify(this.weightArray);
+    outputData.weightMedia = (
+      this.weightArray.reduce((a, b) => a + b, 0) / this.weightArray.length
+    ).toFixed(1);
+    outputData.samples = this.samples.slice();
+    outputData.sampleRate = this.sampleRate();
+    outputData.metrics = computeMetrics(this.samples);
+    outputData.frames = this.frameStats();
+    outputData.baselineStats = this.baselineTracker.stats(this.coef);
+    outputData.end = this.ended;
+    outputData.test = this.testRun && this.testRun.result();
+    if (!this.testRun) this.lastMaxes.set(maxKey(this.metadata), this.weightMax);
+    // the reference populations are of maximal squeezes
+    this.normativeScore = !this.testRun && this.normative ? this.normative.score(this.weightMax, this.metadata) : undefined;
+    outputData.normative = this.normativeScore;
+    // Showing results
+    log(3, "Baseline: ", this.baseline, "- noise:", outputData.baselineStats.noise, "Kg", "- drift:", outputData.baselineStats.drift, "Kg");
+    log(3, "Coef: ", this.coef);
+    log(3, "Num measures: ", this.weightArray.length);
+    log(3, "Sample rate: ", outputData.sampleRate, "Hz");
+    log(3, "WeightMax: ", outputData.weightMax, "Kg", "- unfiltered:", outputData.rawWeightMax, "Kg");
+    log(3, "WeightAVG: ", outputData.weightMedia, "Kg");
+    if (outputData.test) log(3, "Test: ", JSON.stringify(outputData.test));
+    if (outputData.normative) log(3, "Normative: ", JSON.stringify(outputData.normative));
+    log(3, "Metrics: ", JSON.stringify(outputData.metrics));
+
+    this.emitMessage({
+      message: "measure_finish",
+      rawMeasures: outputData.weightArray,
+      avg: outputData.weightMedia,
+      max: outputData.weightMax,
+      rawMax: outputData.rawWeightMax,
+      filters: outputData.filters,
+      samples: outputData.samples,
+      sampleRate: outputData.sampleRate,
+      metrics: outputData.metrics,
+      frames: outputData.frames,
+      baselineStats: outputData.baselineStats,
+      end: outputData.end,
+      test: outputData.test,
+      normative: outputData.normative,
+    });
+  }
+}
+
+/**
+ * maxKey
+ * the last max is kept per patient and hand
+ * @param {Object} metadata
+ */
+function maxKey({ patientId, hand }) {
+  return `${patientId === undefined ? "" : patientId}|${hand === undefined ? "" : hand}`;
+}
+
+/**
+ * deviceFilePath
+ * temp.json of a device: ./temp.json --> ./temp-A12345.json, unchanged without device
+ * @param {String} filePath
+ * @param {String=} deviceId
+ */
+function deviceFilePath(filePath, deviceId) {
+  if (!deviceId) return filePath;
+  const { dir, name, ext } = path.parse(filePath);
+  return path.join(dir, `${name}-${String(deviceId).replace(/[^\w.-]/g, "_")}${ext}`);
+}
+
+/**
+ *
+ * @param {String} error
+ * @param {Function} callback
+ */
+function checkError(error, callback) {
+  let errorMessage;
+  switch (error) {
+    case "00":
+      errorMessage = "Results with no error found";
+      return callback(null, errorMessage);
+  }
+  return callback(error, errorMessage);
+}
+
+module.exports = {
+  MeasurementSession,
+  deviceIdOf,
+  deviceFilePath,
+  commands,
+  SetCoef,
+  GetCoef,
+  SamplingOff,
+  SamplingOn,
+  DeviceOff,
+};
@@ -0,0 +1,132 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Measurement lifecycle states
+ *
+ * idle             --> no device, port closed
+ * searching        --> measureStart received (or device lost, reconnecting), polling SerialPort.list()
+ * opening          --> device found, opening the port
+ * reading_coef     --> port open, GetCoef sent, waiting config.samplingDelay
+ * waiting_baseline --> sampling on, waiting a stable baseline
+ * armed            --> baseline ok, waiting weight > config.trigger (grip set down: waiting_baseline again)
+ * measuring        --> measurement running, until config.end (config.duration by default)
+ * finished         --> results sent, port open with sampling off
+ * calibrating      --> calibration with reference masses, sampling on
+ * stopping         --> measureStop received, closing the port
+ */
+const IDLE             = "idle";
+const SEARCHING        = "searching";
+const OPENING          = "opening";
+const READING_COEF     = "reading_coef";
+const WAITING_BASELINE = "waiting_baseline";
+const ARMED            = "armed";
+const MEASURING        = "measuring";
+const FINISHED         = "finished";
+const STOPPING         = "stopping";
+const CALIBRATING      = "calibrating";
+
+const STATES = [IDLE, SEARCHING, OPENING, READING_COEF, WAITING_BASELINE, ARMED, MEASURING, FINISHED, STOPPING, CALIBRATING];
+
+// Allowed transitions, every other one is a flow error
+const transitions = {
+  [IDLE]:             [SEARCHING],
+  [SEARCHING]:        [OPENING, IDLE, STOPPING],
+  [OPENING]:          [READING_COEF, SEARCHING, IDLE, STOPPING],
+  [READING_COEF]:     [WAITING_BASELINE, CALIBRATING, FINISHED, SEARCHING, IDLE, STOPPING],
+  [WAITING_BASELINE]: [ARMED, SEARCHING, IDLE, STOPPING],
+  [ARMED]:            [MEASURING, WAITING_BASELINE, SEARCHING, IDLE, STOPPING],
+  [MEASURING]:        [FINISHED, SEARCHING, IDLE, STOPPING],
+  [FINISHED]:         [WAITING_BASELINE, CALIBRATING, SEARCHING, IDLE, STOPPING],
+  [STOPPING]:         [IDLE],
+  [CALIBRATING]:      [FINISHED, SEARCHING, IDLE, STOPPING],
+};
+
+// States where every ZeroMQ command is accepted
+const commandGuards = {
+  measureStart:       [IDLE, FINISHED],
+  protocolStart:      [IDLE],
+  measureSamplingOn:  [FINISHED],
+  calibrationStart:   [IDLE, FINISHED],
+  calibrationZero:    [CALIBRATING],
+  calibrationPoint:   [CALIBRATING],
+  calibrationConfirm: [CALIBRATING],
+  calibrationCancel:  [CALIBRATING],
+  measureStop:        STATES,
+  appHide:            STATES,
+  appShow:            STATES,
+  showGauge:          STATES,
+  hideGauge:          STATES,
+  hello:              STATES,
+  getInfo:            STATES,
+  historyList:        STATES,
+  historyGet:         STATES,
+  historyDelete:      STATES,
+  exportSession:      STATES,
+  calibrationStatus:  STATES,
+};
+
+/**
+ * StateMachine
+ * Holds the current state, validates the transitions and emits
+ * 'transition' (state, previous) on every change
+ */
+class StateMachine extends EventEmitter {
+  constructor(initial = IDLE) {
+    super();
+    this.state = initial;
+  }
+
+  /**
+   * is
+   * @param {...String} states
+   */
+  is(...states) {
+    return states.includes(this.state);
+  }
+
+  /**
+   * can
+   * @param {String} to
+   */
+  can(to) {
+    return transitions[this.state].includes(to);
+  }
+
+  /**
+   * transition
+   * @param {String} to
+   */
+  transition(to) {
+    if (!this.can(to)) {
+      throw new Error(`Invalid transition ${this.state} --> ${to}`);
+    }
+    const previous = this.state;
+    this.state = to;
+    this.emit('transition', to, previous);
+  }
+
+  /**
+   * accepts
+   * @param {String} cmd - ZeroMQ inputData.cmd
+   */
+  accepts(cmd) {
+    return Boolean(commandGuards[cmd]) && commandGuards[cmd].includes(this.state);
+  }
+}
+
+module.exports = {
+  StateMachine,
+  STATES,
+  transitions,
+  commandGuards,
+  IDLE,
+  SEARCHING,
+  OPENING,
+  READING_COEF,
+  WAITING_BASELINE,
+  ARMED,
+  MEASURING,
+  FINISHED,
+  STOPPING,
+  CALIBRATING,
+};
@@ -0,0 +1,139 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Normative reference data
+ * Grip strength of a reference population by sex, age and hand, read from
+ * config.normative.filePath, a JSON array or a CSV file with a header line:
+ *
+ *   sex,ageMin,ageMax,hand,mean,sd
+ *   male,40,49,dominant,47.2,8.1
+ *   female,40,49,any,28.9,5.8
+ *
+ * sex is male or female, the ages are inclusive, hand is right, left,
+ * dominant, nondominant or any (an empty hand is any). The mean and the
+ * standard deviation are in kg.
+ *
+ * A max is scored as a z-score, and a percentile of the normal distribution.
+ * config.normative.thresholds flag the results under a limit, in kg by sex or
+ * as a z-score:
+ *
+ *   "thresholds": { "sarcopenia": { "male": 27, "female": 16 }, "weakness": { "zScore": -2 } }
+ *
+ * @param {Object} options
+ * @param {String} options.filePath - JSON or CSV table
+ * @param {Object=} options.thresholds - flag name --> { male, female } kg or { zScore }
+ */
+class NormativeData {
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.thresholds = options.thresholds || {};
+    this.rows = this._load();
+  }
+
+  _load() {
+    const content = fs.readFileSync(this.filePath, "utf8");
+    const rows = path.extname(this.filePath).toLowerCase() === ".csv" ? parseCSV(content) : JSON.parse(content);
+    if (!Array.isArray(rows)) throw new Error(`Normative data ${this.filePath}: an array of rows is expected`);
+    return rows.map((row, i) => {
+      const entry = {
+        sex: normalizeSex(row.sex),
+        ageMin: Number(row.ageMin),
+        ageMax: Number(row.ageMax),
+        hand: String(row.hand || "any").toLowerCase(),
+        mean: Number(row.mean),
+        sd: Number(row.sd),
+      };
+      const valid = entry.sex && entry.ageMin <= entry.ageMax && entry.mean > 0 && entry.sd > 0 &&
+        ["right", "left", "dominant", "nondominant", "any"].includes(entry.hand);
+      if (!valid) throw new Error(`Normative data ${this.filePath}: invalid row ${i + 1}`);
+      return entry;
+    });
+  }
+
+  /**
+   * find
+   * Reference row of a subject: its hand first, then dominant / nondominant, then any
+   * @param {Object} subject - { age, sex, hand, dominantHand }
+   * @returns {Object|undefined}
+   */
+  find({ age, sex, hand, dominantHand }) {
+    const candidates = this.rows.filter((row) => (
+      row.sex === normalizeSex(sex) && age >= row.ageMin && age <= row.ageMax
+    ));
+    const side = hand && dominantHand ? (hand === dominantHand ? "dominant" : "nondominant") : undefined;
+    return [hand, side, "any"]
+      .filter(Boolean)
+      .map((wanted) => candidates.find((row) => row.hand === wanted))
+      .find(Boolean);
+  }
+
+  /**
+   * score
+   * @param {number} max - peak, kg
+   * @param {Object} subject - measureStart inputData: age, sex, hand, dominantHand
+   * @returns {Object|undefined} { zScore, percentile, mean, sd, reference, flags }, undefined
+   * without age and sex, or without reference row
+   */
+  score(max, subject = {}) {
+    if (typeof max !== "number" || subject.age === undefined || !subject.sex) return undefined;
+    const row = this.find(subject);
+    if (!row) return undefined;
+
+    const zScore = (max - row.mean) / row.sd;
+    const flags = Object.keys(this.thresholds).filter((flag) => {
+      const threshold = this.thresholds[flag];
+      if (threshold.zScore !== undefined) return zScore < threshold.zScore;
+      const kg = threshold[row.sex];
+      return kg !== undefined && max < kg;
+    });
+    return {
+      zScore: Number(zScore.toFixed(2)),
+      percentile: Number((normalCDF(zScore) * 100).toFixed(1)),
+      mean: row.mean,
+      sd: row.sd,
+      reference: { sex: row.sex, ageMin: row.ageMin, ageMax: row.ageMax, hand: row.hand },
+      flags,
+    };
+  }
+}
+
+/**
+ * parseCSV
+ * @param {String} content - header line, then one row per line
+ * @returns {Object[]} rows keyed by the header
+ */
+function parseCSV(content) {
+  const lines = content.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  const header = lines.shift().split(",").map((name) => name.trim());
+  return lines.map((line) => {
+    const cells = line.split(",");
+    return Object.fromEntries(header.map((name, i) => [name, (cells[i] || "").trim()]));
+  });
+}
+
+/**
+ * normalizeSex
+ * @param {String} sex - male / female, or m / f
+ * @returns {String|undefined}
+ */
+function normalizeSex(sex) {
+  const value = String(sex || "").toLowerCase();
+  if (value === "m" || value === "male") return "male";
+  if (value === "f" || value === "female") return "female";
+  return undefined;
+}
+
+/**
+ * normalCDF
+ * Standard normal distribution, Abramowitz and Stegun 7.1.26 (error < 1.5e-7)
+ * @param {number} z
+ */
+function normalCDF(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+module.exports = { NormativeData, normalCDF };
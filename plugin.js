@@ -0,0 +1,101 @@
+const { SerialPort } = require('serialport');
+const KGripSimulator = require('./kgrip-simulator');
+const { log: defaultLog } = require('./logger');
+const DeviceManager = require('./device-manager');
+const { DeviceWatcher } = require('./device-watcher');
+const { FilterChain } = require('./force-filter');
+const { resolveEnd } = require('./end-condition');
+const { resolveTest, TEST_MODES } = require('./test-mode');
+const HistoryStore = require('./history-store');
+const CalibrationRegistry = require('./calibration-registry');
+const { NormativeData } = require('./normative-data');
+const { ReportExporter } = require('./report-exporter');
+const ZmqServer = require('./zmq-server');
+
+/**
+ * createPlugin
+ * Wires the measurement engine to the ZeroMQ protocol, shared by the
+ * Electron shell (main.js) and the headless daemon (daemon.js)
+ * @param {Object} options
+ * @param {Object} options.config - config.json content
+ * @param {Object=} options.tempFile - temp.json content
+ * @param {Function=} options.log
+ * @param {Function=} options.renderPdf - async (html, filePath), PDF reports (Electron only)
+ * @param {Object=} options.clock - timers and now() of the devices, the sessions and the calibration registry
+ * @returns {{ manager: DeviceManager, history: HistoryStore, exporter: ReportExporter,
+ * calibrations: CalibrationRegistry, zmqServer: ZmqServer }}
+ */
+function createPlugin({ config, tempFile, log = defaultLog, renderPdf, clock }) {
+  // Serial port implementation, replaced by the simulator when config.simulator is set
+  let Port = SerialPort;
+  // USB hot-plug events, the simulator has its own
+  let hotplug;
+  if (config.simulator) {
+    Port = KGripSimulator;
+    hotplug = KGripSimulator.hotplug;
+    // an array simulates several grips
+    [].concat(config.simulator).forEach((simulator, i) => {
+      KGripSimulator.attach({
+        path: `/dev/ttyKGRIP${i}`,
+        serialNumber: `SIM000${i + 1}`,
+        vendorId: config.vendorId,
+        productId: config.productId,
+        ...simulator,
+      });
+    });
+  } else {
+    hotplug = usbHotplug(log);
+  }
+
+  // invalid config.filters, config.end or config.testModes stop the plugin at start, not at the first measureStart
+  new FilterChain(config.filters);
+  resolveEnd(config);
+  TEST_MODES.forEach((mode) => resolveTest(config, { mode }));
+  Object.values(config.protocols || {}).forEach((definition) => {
+    resolveEnd(config, definition.end);
+    if (definition.test) resolveTest(config, definition.test);
+  });
+
+  const calibrations = new CalibrationRegistry({
+    filePath: config.calibrationRegistryPath,
+    intervalDays: config.calibrationIntervalDays,
+    clock,
+    log,
+  });
+  // a missing or invalid table stops the plugin at start too
+  const normative = config.normative && config.normative.filePath ? new NormativeData(config.normative) : undefined;
+  const watcher = new DeviceWatcher({ config, Port, hotplug, clock, log });
+  const manager = new DeviceManager({ config, Port, clock, tempFile, log, calibrations, normative, watcher });
+  const history = new HistoryStore({ filePath: config.historyFilePath, log });
+  manager.on('result', (record) => {
+    history.append(record).catch((err) => log(1, "History write failed:", err));
+  });
+  const exporter = new ReportExporter({
+    history,
+    dir: config.exportDir,
+    formats: config.exportFormats,
+    renderPdf,
+  });
+  const zmqServer = new ZmqServer({ config, manager, history, exporter, calibrations, log });
+  // grips are tracked from now on, device_attached is sent before any measureStart
+  watcher.start();
+
+  return { manager, history, exporter, calibrations, zmqServer };
+}
+
+/**
+ * usbHotplug
+ * USB attach / detach events of the optional usb package, the device watcher
+ * polls SerialPort.list() every second without them
+ * @param {Function} log
+ */
+function usbHotplug(log) {
+  try {
+    return require('usb').usb;
+  } catch (error) {
+    log(3, "usb package not installed, polling the serial ports");
+    return undefined;
+  }
+}
+
+module.exports = { createPlugin };
@@ -0,0 +1,355 @@
+const { commandGuards } = require('./measurement-state');
+const { END_MODES } = require('./end-condition');
+const { TEST_MODES } = require('./test-mode');
+
+/**
+ * ZeroMQ protocol
+ * Message schemas (JSON Schema, draft-07 subset) for the inbound inputData
+ * and the outbound outputData, and the version information returned by the
+ * hello / getInfo commands.
+ *
+ * Protocol versions:
+ * 1.0 --> cmd only (measureStart, measureSamplingOn, measureStop, appShow, appHide, showGauge, hideGauge)
+ * 2.0 --> state machine, requestId/sessionId, ack/nack, error catalogue, schema validation, hello/getInfo
+ * 2.1 --> multiple devices, inputData.deviceId and outputData.deviceId
+ * 2.2 --> measurement history, patientId/operatorId, historyList/historyGet/historyDelete
+ * 2.3 --> exportSession, CSV / JSON / HTML / PDF reports
+ * 2.4 --> measure_finish samples { t, raw, kg } and sampleRate
+ * 2.5 --> measure_finish metrics (time-to-peak, RFD, impulse, fatigue index)
+ * 2.6 --> protocolStart, multi-trial protocols from config.protocols
+ * 2.7 --> calibration with reference masses, calibrationStart/Zero/Point/Confirm/Cancel, calibration_done written
+ * 2.8 --> calibration registry, calibration_warning, calibrationStatus
+ * 2.9 --> measure_finish frames (framing parser counters)
+ * 2.10 --> device_lost, device_reconnected, link counters in getInfo
+ * 2.11 --> device_attached, device_detached, attached grips in getInfo
+ * 2.12 --> measure_finish rawMax and filters, samples rawKg (config.filters)
+ * 2.13 --> baseline noise: baseline_ok baseline/noise, baseline_unstable, baseline_retare (grip set down),
+ *          baseline_shift (light load), measure_finish baselineStats
+ * 2.14 --> inputData.end (release / decline / duration end modes, declineTime), measure_finish end
+ * 2.15 --> inputData.test (endurance / repeated tests), test_target, rep_cue, rep_detected, measure_finish test
+ * 2.16 --> inputData age / sex / hand / dominantHand, measure_finish normative (percentile, z-score, flags)
+ * A front-end is compatible when the major version matches.
+ */
+const PROTOCOL_VERSION = "2.16";
+
+// Version of the plugin build, sent by hello / getInfo
+const PLUGIN_VERSION = require('./package.json').version;
+
+const COMMANDS = Object.keys(commandGuards);
+
+const idSchema = { type: ["string", "number"] };
+
+const inputSchema = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  type: "object",
+  required: ["inputData"],
+  properties: {
+    inputData: {
+      type: "object",
+      required: ["cmd"],
+      properties: {
+        cmd: { type: "string", minLength: 1 },
+        requestId: idSchema,
+        sessionId: idSchema,
+        deviceId: { type: ["string", "array"], items: { type: "string" } },
+        protocolVersion: { type: "string", pattern: "^\\d+\\.\\d+$" },
+        patientId: idSchema,
+        operatorId: idSchema,
+        age: { type: "number", minimum: 0 },
+        sex: { type: "string", enum: ["male", "female", "m", "f", "M", "F"] },
+        hand: { type: "string", enum: ["right", "left"] },
+        dominantHand: { type: "string", enum: ["right", "left"] },
+        id: idSchema,
+        from: { type: "string" },
+        to: { type: "string" },
+        limit: { type: "integer", minimum: 1 },
+        format: { type: ["string", "array"], items: { type: "string" } },
+        protocol: { type: "string", minLength: 1 },
+        mass: { type: "number", minimum: 0 },
+        end: {
+          type: "object",
+          properties: {
+            mode: { type: "string", enum: END_MODES },
+            duration: { type: "number", minimum: 1 },
+            releaseThreshold: { type: "number", minimum: 0 },
+            releaseTime: { type: "number", minimum: 1 },
+            decline: { type: "number", minimum: 1, maximum: 99 },
+            declineTime: { type: "number", minimum: 1 },
+            maxDuration: { type: "number", minimum: 1 },
+          },
+          additionalProperties: false,
+        },
+        test: {
+          type: "object",
+          properties: {
+            mode: { type: "string", enum: TEST_MODES },
+            referenceMax: { type: "number", minimum: 0 },
+            target: { type: "number", minimum: 1, maximum: 100 },
+            tolerance: { type: "number", minimum: 0 },
+            releaseTime: { type: "number", minimum: 1 },
+            maxDuration: { type: "number", minimum: 1 },
+            reps: { type: "integer", minimum: 1 },
+            work: { type: "number", minimum: 1 },
+            rest: { type: "number", minimum: 1 },
+          },
+          additionalProperties: false,
+        },
+      },
+    },
+  },
+};
+
+const outputSchema = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  type: "object",
+  required: ["outputData"],
+  properties: {
+    outputData: {
+      type: "object",
+      required: ["message"],
+      properties: {
+        message: { type: "string" },
+        requestId: idSchema,
+        sessionId: idSchema,
+        deviceId: { type: "string" },
+        state: { type: "string" },
+        code: { type: "integer" },
+        error: { type: "string" },
+      },
+    },
+  },
+};
+
+// Extra requirements for every outputData message, keyed by outputData.message
+const messageSchemas = {
+  ack:                   { required: ["cmd", "state"] },
+  nack:                  { required: ["state", "code", "error"] },
+  error:                 { required: ["code", "error", "state", "catalogueVersion"] },
+  state_changed:         { required: ["state", "previous"] },
+  info:                  {
+    required: ["pluginVersion", "protocolVersion", "commands", "state", "devices"],
+    properties: { devices: { type: "array" }, attached: { type: "array" } },
+  },
+  device_found:          {},
+  baseline_ok:           { properties: { baseline: { type: "number" }, noise: { type: "number" } } },
+  baseline_unstable:     { required: ["noise", "maxNoise"] },
+  baseline_shift:        { required: ["baseline", "offset", "shifts"] },
+  baseline_retare:       { required: ["previous", "retares"] },
+  baseline_stop:         { required: ["code"] },
+  measureSamplingOn:     {},
+  measure_received:      { required: ["value"], properties: { value: { type: "string" } } },
+  measure_finish:        {
+    required: ["rawMeasures", "avg", "max", "samples"],
+    properties: {
+      samples: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["t", "raw", "kg"],
+          properties: {
+            t: { type: "number" },
+            raw: { type: "integer" },
+            kg: { type: "number" },
+            rawKg: { type: "number" },
+            packet: { type: "string" },
+          },
+        },
+      },
+      rawMax: { type: "string" },
+      filters: { type: "array", items: { type: "object", required: ["type"] } },
+      sampleRate: { type: ["number", "null"] },
+      metrics: {
+        type: "object",
+        required: ["timeToPeak", "rfd100", "rfd200", "impulse", "fatigueIndex"],
+        additionalProperties: { type: ["number", "null"] },
+      },
+      frames: {
+        type: "object",
+        required: ["packets", "corrupt", "checksumErrors", "droppedBytes"],
+        additionalProperties: { type: "integer" },
+      },
+      baselineStats: {
+        type: "object",
+        required: ["value", "noise", "drift", "shifts", "retares"],
+        additionalProperties: { type: "number" },
+      },
+      end: {
+        type: "object",
+        required: ["mode", "reason", "t"],
+        properties: {
+          mode: { type: "string", enum: [...END_MODES, ...TEST_MODES] },
+          reason: { type: "string", enum: ["duration", "maxDuration", "release", "decline", "reps"] },
+          t: { type: "number" },
+        },
+      },
+      test: {
+        type: "object",
+        required: ["mode", "declineSlope"],
+        properties: {
+          mode: { type: "string", enum: TEST_MODES },
+          holdTime: { type: "number" },
+          repPeaks: { type: "array", items: { type: "number" } },
+          repetitions: { type: "array" },
+          declineSlope: { type: ["number", "null"] },
+        },
+      },
+      normative: {
+        type: "object",
+        required: ["zScore", "percentile", "mean", "sd", "reference", "flags"],
+        properties: {
+          zScore: { type: "number" },
+          percentile: { type: "number", minimum: 0, maximum: 100 },
+          flags: { type: "array", items: { type: "string" } },
+        },
+      },
+    },
+  },
+  test_target:           { required: ["mode"] },
+  rep_cue:               { required: ["rep", "phase", "remaining", "reps"], properties: { phase: { enum: ["work", "rest"] } } },
+  rep_detected:          { required: ["rep", "start", "duration", "peak", "reps"] },
+  timeout:               {},
+  app_hide:              {},
+  app_show:              {},
+  show_gauge:            {},
+  hide_gauge:            {},
+  history_list:          { required: ["sessions"], properties: { sessions: { type: "array" } } },
+  history_session:       { required: ["session"], properties: { session: { type: "object" } } },
+  history_deleted:       { required: ["deleted"], properties: { deleted: { type: "integer" } } },
+  trial_start:           { required: ["protocol", "trial", "hand", "index", "trials"] },
+  trial_finish:          { required: ["protocol", "trial", "hand", "index", "max", "avg"] },
+  protocol_rest:         { required: ["protocol", "remaining", "next"], properties: { remaining: { type: "integer" } } },
+  protocol_finish:       {
+    required: ["protocol", "scoring", "trials", "scores", "score"],
+    properties: { trials: { type: "array" }, scores: { type: "object" } },
+  },
+  protocol_aborted:      { required: ["protocol", "index", "trials"], properties: { trials: { type: "array" } } },
+  calibration_started:   { required: ["coef"] },
+  calibration_point:     { required: ["mass", "raw", "sd", "samples", "points"] },
+  calibration_fit:       {
+    required: ["coef", "r2", "maxResidual", "residuals"],
+    properties: { coef: { type: "number" }, residuals: { type: "array" } },
+  },
+  calibration_done:      {
+    required: ["coef", "previousCoef", "date", "written"],
+    properties: { coef: { type: "number" }, written: { type: "boolean" } },
+  },
+  calibration_cancelled: { required: ["coef"] },
+  calibration_warning:   { required: ["reasons", "coef"], properties: { reasons: { type: "array", items: { type: "string" } } } },
+  calibration_status:    { required: ["devices"], properties: { devices: { type: "array" } } },
+  device_lost:           {
+    required: ["reason", "state", "reconnect", "link"],
+    properties: { reason: { type: "string", enum: ["closed", "error", "stall"] }, link: { type: "object" } },
+  },
+  device_attached:       { required: ["deviceId", "path"], properties: { path: { type: "string" } } },
+  device_detached:       { required: ["deviceId", "path"], properties: { path: { type: "string" } } },
+  device_reconnected:    { required: ["downtime", "link"], properties: { downtime: { type: "number" }, link: { type: "object" } } },
+  export_done:           { required: ["id", "files"], properties: { files: { type: "array", items: { type: "string" } } } },
+};
+
+/**
+ * typeOf
+ * JSON Schema type of a value
+ * @param {*} value
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+/**
+ * validate
+ * Supports type, enum, required, properties, additionalProperties, items,
+ * minimum, maximum, minLength and pattern
+ * @param {Object} schema
+ * @param {*} value
+ * @param {String=} path
+ * @returns {String[]} errors, empty when valid
+ */
+function validate(schema, value, path = "") {
+  const errors = [];
+  const where = path || "message";
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const type = typeOf(value);
+    if (!types.includes(type) && !(type === "integer" && types.includes("number"))) {
+      errors.push(`${where} should be ${types.join(" or ")}, found ${type}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where} should be one of ${schema.enum.join(", ")}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${where} should be <= ${schema.maximum}`);
+  }
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${where} should not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${where} should match ${schema.pattern}`);
+  }
+  if (typeOf(value) === "object") {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push(`${where} should have ${key}`);
+    });
+    Object.keys(value).forEach((key) => {
+      const child = path ? `${path}.${key}` : key;
+      if (schema.properties && schema.properties[key]) {
+        if (value[key] !== undefined) errors.push(...validate(schema.properties[key], value[key], child));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${child} is not allowed`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validate(schema.additionalProperties, value[key], child));
+      }
+    });
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, `${where}[${i}]`)));
+  }
+  return errors;
+}
+
+/**
+ * validateInput
+ * @param {*} message - parsed ZeroMQ message from the POD
+ */
+function validateInput(message) {
+  return validate(inputSchema, message);
+}
+
+/**
+ * validateOutput
+ * @param {*} message - { outputData } about to be sent to the POD
+ */
+function validateOutput(message) {
+  const errors = validate(outputSchema, message);
+  if (errors.length) return errors;
+  const outputData = message.outputData;
+  const schema = messageSchemas[outputData.message];
+  if (!schema) return [`outputData.message ${outputData.message} is not part of the protocol`];
+  return validate(schema, outputData, "outputData");
+}
+
+/**
+ * isCompatible
+ * @param {String=} version - protocol version announced by the front-end
+ */
+function isCompatible(version) {
+  if (!version) return true;
+  return version.split(".")[0] === PROTOCOL_VERSION.split(".")[0];
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  PLUGIN_VERSION,
+  COMMANDS,
+  inputSchema,
+  outputSchema,
+  messageSchemas,
+  validate,
+  validateInput,
+  validateOutput,
+  isCompatible,
+};
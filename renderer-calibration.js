@@ -0,0 +1,144 @@
+const { ipcRenderer } = require('electron');
+
+// Calibration page: sends the calibration commands of the grip chosen in the
+// device selector through the plugin and shows the points, the fitted
+// coefficient and its residuals
+
+const $ = (id) => document.getElementById(id);
+const status = $('status');
+let points = [];
+// grip started from ZeroMQ, selected once the list of grips holds it
+let followed;
+
+function send(inputData) {
+    const deviceId = followed || $('deviceId').value;
+    if (!deviceId) {
+        status.textContent = 'No grip plugged in';
+        return;
+    }
+    ipcRenderer.send('calibration-command', { ...inputData, deviceId });
+}
+
+function renderDevices(devices) {
+    const select = $('deviceId');
+    const selected = followed || select.value;
+    select.innerHTML = devices.map((device) => (
+        `<option value="${device.deviceId}">${device.deviceId} (${device.path})</option>`
+    )).join('');
+    if (devices.some((device) => device.deviceId === selected)) select.value = selected;
+}
+
+function setCalibrating(calibrating) {
+    $('deviceId').disabled = calibrating;
+    $('zeroButton').disabled = !calibrating;
+    $('pointButton').disabled = !calibrating;
+    $('cancelButton').disabled = !calibrating;
+    $('startButton').disabled = calibrating;
+    if (!calibrating) {
+        $('confirmButton').disabled = true;
+        followed = undefined;
+    }
+}
+
+function renderPoints(residuals = []) {
+    $('points').innerHTML = points.map((point) => {
+        const fit = residuals.find((residual) => residual.mass === point.mass && residual.raw === point.raw) || {};
+        const cell = (value) => `<td>${value === undefined ? '-' : value}</td>`;
+        return `<tr>${cell(point.mass)}${cell(point.raw)}${cell(point.sd)}${cell(fit.predicted)}${cell(fit.residual)}</tr>`;
+    }).join('');
+}
+
+$('startButton').addEventListener('click', () => {
+    points = [];
+    renderPoints();
+    send({ cmd: 'calibrationStart', operatorId: $('operatorId').value || undefined });
+    status.textContent = 'Opening the device...';
+});
+
+$('zeroButton').addEventListener('click', () => {
+    send({ cmd: 'calibrationZero' });
+    status.textContent = 'Capturing the zero, keep the grip unloaded...';
+});
+
+$('pointButton').addEventListener('click', () => {
+    const mass = parseFloat($('mass').value);
+    if (!(mass > 0)) {
+        status.textContent = 'Enter the reference mass in kg';
+        return;
+    }
+    send({ cmd: 'calibrationPoint', mass });
+    status.textContent = `Capturing ${mass} kg, keep the mass still...`;
+});
+
+$('confirmButton').addEventListener('click', () => {
+    send({ cmd: 'calibrationConfirm', operatorId: $('operatorId').value || undefined });
+});
+
+$('cancelButton').addEventListener('click', () => {
+    send({ cmd: 'calibrationCancel' });
+});
+
+ipcRenderer.on('calibration-devices', (event, devices) => renderDevices(devices));
+ipcRenderer.send('calibration-devices');
+
+ipcRenderer.on('kforce-data', (event, payload) => {
+    if (!payload) return;
+
+    if (payload.message === "device_attached" || payload.message === "device_detached") {
+        ipcRenderer.send('calibration-devices');
+        return;
+    }
+    // started from ZeroMQ: the page follows that grip
+    if (payload.message === "calibration_started" && payload.deviceId) {
+        followed = payload.deviceId;
+        $('deviceId').value = followed;
+    }
+    // the other grips
+    if (payload.deviceId && payload.deviceId !== (followed || $('deviceId').value)) return;
+
+    switch (payload.message) {
+        case "calibration_started":
+            setCalibrating(true);
+            $('previousCoef').textContent = payload.coef;
+            $('coef').textContent = '-';
+            $('r2').textContent = '-';
+            status.textContent = 'Calibrating: capture the zero, then hang the reference masses';
+            break;
+
+        case "calibration_point":
+            points = points.filter((point) => payload.mass !== 0 || point.mass !== 0);
+            points.push(payload);
+            points.sort((a, b) => a.mass - b.mass);
+            renderPoints();
+            status.textContent = `Point ${payload.mass} kg captured`;
+            break;
+
+        case "calibration_fit":
+            $('coef').textContent = payload.coef;
+            $('r2').textContent = payload.r2 === null ? '-' : payload.r2;
+            renderPoints(payload.residuals);
+            $('confirmButton').disabled = false;
+            break;
+
+        case "calibration_done":
+            setCalibrating(false);
+            status.textContent = payload.written
+                ? `Coefficient ${payload.coef} written to the device`
+                : `Coefficient ${payload.coef} saved, applied by the plugin (not written to the device)`;
+            break;
+
+        case "calibration_cancelled":
+            setCalibrating(false);
+            status.textContent = 'Calibration cancelled, the device keeps its coefficient';
+            break;
+
+        case "nack":
+        case "error":
+            status.textContent = `Error ${payload.code}: ${payload.error}`;
+            break;
+
+        case "state_changed":
+            if (payload.state === "idle") setCalibrating(false);
+            break;
+    }
+});
@@ -12,6 +12,22 @@ gauge.animate();
 // Between the measures, when the timer starts, the gauge will be gray & disabled
 canvas.style.display = 'none';
 
+// Export of the last measurement, enabled once a measurement is finished
+const exportButton = document.getElementById('exportButton');
+let lastDeviceId;
+
+exportButton.addEventListener('click', () => {
+    exportButton.disabled = true;
+    exportButton.textContent = 'Exporting...';
+    ipcRenderer.send('export-report', { deviceId: lastDeviceId });
+});
+
+ipcRenderer.on('export-done', (event, result) => {
+    exportButton.disabled = false;
+    exportButton.textContent = result.error ? 'Export failed' : 'Exported';
+    console.log("Export", result);
+});
+
 ipcRenderer.on('kforce-data', (event, payload) => {
     if (!payload) return;
 
@@ -28,6 +44,16 @@ ipcRenderer.on('kforce-data', (event, payload) => {
             canvas.style.filter = "grayscale(0.5)";
             canvas.style.opacity = 0.4;
             gauge.setValue(parseFloat(0));
+            if (payload.test && payload.test.mode === "endurance") gauge.setCaption(`Held ${(payload.test.holdTime / 1000).toFixed(1)} s`);
+            if (payload.test && payload.test.mode === "repeated") gauge.setCaption(`${payload.test.detected}/${payload.test.reps} reps`);
+            if (payload.normative) {
+                const { percentile, zScore, flags } = payload.normative;
+                gauge.setCaption(`P${Math.round(percentile)} (z ${zScore})${flags.length ? ` - ${flags.join(", ")}` : ""}`);
+            }
+            lastDeviceId = payload.deviceId;
+            exportButton.textContent = 'Export';
+            exportButton.disabled = false;
+            exportButton.style.display = 'block';
             console.log("Measurement finished", payload);
             break;
 
@@ -35,6 +61,7 @@ ipcRenderer.on('kforce-data', (event, payload) => {
             canvas.style.display = 'block';
             canvas.style.filter = "grayscale(0)";
             canvas.style.opacity = 1;
+            exportButton.style.display = 'none';
             console.log("Baseline OK");
             break;
 
@@ -56,6 +83,7 @@ ipcRenderer.on('kforce-data', (event, payload) => {
         case "measureSamplingOn":
             canvas.style.display = 'block';
             gauge.setValue(parseFloat(0));
+            exportButton.style.display = 'none';
             console.log("Sampling On");
             break;
 
@@ -64,5 +92,64 @@ ipcRenderer.on('kforce-data', (event, payload) => {
             gauge.setValue(parseFloat(0));
             console.log("Timeout");
             break;
+
+        case "state_changed":
+            // protocol captions last until the device is released
+            if (payload.state === "idle") gauge.setCaption("");
+            if (payload.state === "idle" || payload.state === "finished") gauge.clearTargetBand();
+            break;
+
+        case "test_target":
+            if (payload.low !== undefined) gauge.setTargetBand(payload.low, payload.high);
+            if (payload.mode === "endurance") gauge.setCaption(`Hold ${payload.target} kg`);
+            console.log("Test", payload.mode, payload);
+            break;
+
+        case "rep_cue":
+            gauge.setCaption(`Rep ${payload.rep}/${payload.reps} - ${payload.phase === "work" ? "squeeze" : "rest"}`);
+            break;
+
+        case "rep_detected":
+            console.log("Rep", payload.rep, "peak", payload.peak);
+            break;
+
+        case "trial_start":
+            gauge.setCaption(`${payload.hand} ${payload.trial} (${payload.index}/${payload.trials})`);
+            break;
+
+        case "protocol_rest":
+            canvas.style.display = 'block';
+            canvas.style.filter = "grayscale(0.5)";
+            canvas.style.opacity = 0.4;
+            gauge.setValue(parseFloat(0));
+            gauge.setCaption(`Rest ${payload.remaining}s - next ${payload.next.hand} ${payload.next.trial}`);
+            break;
+
+        case "protocol_finish":
+            gauge.setCaption(`Score ${payload.score}`);
+            console.log("Protocol finished", payload);
+            break;
+
+        case "protocol_aborted":
+            gauge.setCaption("");
+            console.log("Protocol aborted", payload);
+            break;
+
+        case "device_lost":
+            gauge.setValue(parseFloat(0));
+            if (payload.reconnect) gauge.setCaption("Device lost, reconnecting...");
+            console.log("Device lost", payload.reason, payload.detail);
+            break;
+
+        case "device_reconnected":
+            gauge.setCaption("");
+            console.log("Device reconnected after", payload.downtime, "ms");
+            break;
+
+        case "error":
+            canvas.style.display = 'none';
+            gauge.setValue(parseFloat(0));
+            console.log("Error", payload.code, payload.error);
+            break;
     }
 });
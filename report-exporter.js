@@ -0,0 +1,305 @@
+const fs = require("fs");
+const path = require("path");
+
+// Export formats: csv and json are plain files, html is a printable report,
+// pdf is the html report printed by the renderer given to the exporter
+const FORMATS = ["csv", "json", "html", "pdf"];
+
+/**
+ * ReportExporter
+ * Writes a measurement of the history to CSV (time, raw ADC value, kg),
+ * structured JSON, and a printable report with the force-time curve, the
+ * peak, the mean and the session metadata.
+ *
+ * @param {Object} options
+ * @param {HistoryStore} options.history - where the measurements are read
+ * @param {String=} options.dir - output directory, config.exportDir
+ * @param {String[]=} options.formats - default formats, config.exportFormats
+ * @param {Function=} options.renderPdf - async (html, filePath), without it pdf is not available
+ */
+class ReportExporter {
+  constructor(options = {}) {
+    this.history = options.history;
+    this.dir = options.dir || "./exports";
+    this.defaultFormats = options.formats || ["csv", "json", "html"];
+    this.renderPdf = options.renderPdf;
+  }
+
+  /**
+   * find
+   * @param {Object=} query
+   * @param {String=} query.id - record id or sessionId, the last measurement when omitted
+   * @param {String=} query.deviceId - last measurement of this device
+   * @returns {Promise<Object|undefined>} full history record
+   */
+  async find({ id, deviceId } = {}) {
+    const { history } = this;
+    if (id !== undefined) return history.get(String(id));
+    const [last] = history.list({ deviceId, limit: 1 });
+    return last && history.get(last.id);
+  }
+
+  /**
+   * exportSession
+   * @param {Object=} query - see find, plus format (defaults to config.exportFormats)
+   * @returns {Promise<{ record: Object, files: String[] }|null>} null when there is no such measurement
+   */
+  async exportSession({ id, deviceId, format } = {}) {
+    const record = await this.find({ id, deviceId });
+    if (!record) return null;
+    const files = await this.export(record, format || this.defaultFormats);
+    return { record, files };
+  }
+
+  /**
+   * formats
+   * formats this exporter can write
+   */
+  formats() {
+    return FORMATS.filter((format) => format !== "pdf" || this.renderPdf);
+  }
+
+  /**
+   * export
+   * @param {Object} record - full history record, with its samples
+   * @param {String|String[]} formats
+   * @returns {Promise<String[]>} written files
+   */
+  async export(record, formats) {
+    formats = [].concat(formats);
+    const unsupported = formats.filter((format) => !this.formats().includes(format));
+    if (unsupported.length) throw new Error(`Unsupported export format ${unsupported.join(", ")}`);
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const base = path.join(this.dir, fileName(record));
+    const files = [];
+    for (const format of formats) {
+      const filePath = `${base}.${format}`;
+      if (format === "pdf") await this.renderPdf(toHTML(record), filePath);
+      else await fs.promises.writeFile(filePath, render[format](record));
+      files.push(path.resolve(filePath));
+    }
+    return files;
+  }
+}
+
+/**
+ * samplesOf
+ * Samples as { t, raw, kg }, t in ms from the measurement start. Records
+ * holding only the weights have no time nor raw value.
+ * @param {Object} record
+ */
+function samplesOf(record) {
+  return (record.rawSamples || []).map((sample) => (
+    typeof sample === "number" ? { t: null, raw: null, kg: sample } : sample
+  ));
+}
+
+/**
+ * fileName
+ * kgrip-<record id>-<deviceId>[-trial<n>]: the measurements of a session
+ * (grips, trials of a protocol) do not overwrite each other
+ * @param {Object} record
+ */
+function fileName(record) {
+  const parts = [record.id, record.deviceId, record.trial !== undefined ? `trial${record.trial}` : undefined]
+    .filter((part) => part !== undefined && part !== null && part !== "")
+    .map((part) => String(part).replace(/[^\w.-]/g, "_"));
+  return ["kgrip", ...parts].join("-");
+}
+
+/**
+ * toCSV
+ * @param {Object} record
+ */
+function toCSV(record) {
+  const cell = (value) => (value === null || value === undefined ? "" : value);
+  const samples = samplesOf(record);
+  // unfiltered weights, when config.filters were applied
+  const filtered = samples.some((sample) => sample.rawKg !== undefined);
+  const lines = samples.map((sample) => {
+    const cells = [cell(sample.t), cell(sample.raw), cell(sample.kg)];
+    if (filtered) cells.push(cell(sample.rawKg));
+    return cells.join(",");
+  });
+  return [filtered ? "t_ms,raw,kg,kg_unfiltered" : "t_ms,raw,kg", ...lines].join("\n") + "\n";
+}
+
+/**
+ * toJSON
+ * @param {Object} record
+ */
+function toJSON(record) {
+  const samples = samplesOf(record);
+  return JSON.stringify({
+    hardware: "KForceGrip",
+    session: {
+      id: record.id,
+      sessionId: record.sessionId,
+      timestamp: record.timestamp,
+      deviceId: record.deviceId,
+      patientId: record.patientId,
+      operatorId: record.operatorId,
+      age: record.age,
+      sex: record.sex,
+      hand: record.hand,
+      dominantHand: record.dominantHand,
+    },
+    device: {
+      coef: record.coef,
+      baseline: record.baseline,
+      baselineStats: record.baselineStats,
+    },
+    results: {
+      max: record.max,
+      rawMax: record.rawMax,
+      avg: record.avg,
+      filters: record.filters,
+      metrics: record.metrics,
+      normative: record.normative,
+      samples: samples.length,
+      errorCode: record.errorCode,
+    },
+    samples,
+  }, null, 2);
+}
+
+/**
+ * toHTML
+ * Self-contained report, printable from any browser
+ * @param {Object} record
+ */
+function toHTML(record) {
+  const rows = [
+    ["Session", record.sessionId],
+    ["Date", record.timestamp && new Date(record.timestamp).toLocaleString()],
+    ["Patient", record.patientId],
+    ["Age / sex", record.age !== undefined && record.sex ? `${record.age} / ${record.sex}` : undefined],
+    ["Hand", record.hand],
+    ["Operator", record.operatorId],
+    ["Device", record.deviceId],
+    ["Coefficient", record.coef],
+    ["Baseline", record.baseline],
+    ["Baseline noise", record.baselineStats && `${record.baselineStats.noise} kg`],
+    ["Baseline drift", record.baselineStats && `${record.baselineStats.drift} kg, ${record.baselineStats.shifts} shift(s), ${record.baselineStats.retares || 0} re-tare(s)`],
+    ["Error code", record.errorCode],
+  ].filter(([, value]) => value !== undefined && value !== null && value !== "");
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>KGrip report ${escapeHTML(record.sessionId || record.id)}</title>
+    <style>
+      body { font-family: 'Open Sans', sans-serif; margin: 2em; color: #222; }
+      h1 { font-size: 1.4em; }
+      table { border-collapse: collapse; margin-bottom: 1.5em; }
+      td { padding: 0.2em 1em 0.2em 0; }
+      .results { font-size: 1.2em; margin-bottom: 1.5em; }
+      .results span { margin-right: 2em; }
+      svg { width: 100%; max-width: 800px; height: auto; }
+      @page { size: A4; margin: 1.5cm; }
+    </style>
+  </head>
+  <body>
+    <h1>KGrip grip strength report</h1>
+    <table>
+${rows.map(([name, value]) => `      <tr><td>${name}</td><td>${escapeHTML(value)}</td></tr>`).join("\n")}
+    </table>
+    <div class="results">
+      <span>Peak: <b>${formatKg(record.max)}</b></span>
+      <span>Mean: <b>${formatKg(record.avg)}</b></span>
+${record.filters && record.filters.length ? `      <span>Unfiltered peak: <b>${formatKg(record.rawMax)}</b></span>\n` : ""}${normativeSpan(record.normative)}    </div>
+${metricsTable(record.metrics)}
+${curveSVG(samplesOf(record), record.max)}
+  </body>
+</html>
+`;
+}
+
+/**
+ * normativeSpan
+ * @param {Object=} normative - see normative-data.js
+ */
+function normativeSpan(normative) {
+  if (!normative) return "";
+  const flags = normative.flags.length ? ` (${escapeHTML(normative.flags.join(", "))})` : "";
+  return `      <span>Percentile: <b>${normative.percentile}</b>, z-score <b>${normative.zScore}</b>${flags}</span>\n`;
+}
+
+/**
+ * metricsTable
+ * @param {Object=} metrics - see grip-metrics.js
+ */
+function metricsTable(metrics) {
+  if (!metrics) return "";
+  const rows = [
+    ["Time to peak", metrics.timeToPeak, "ms"],
+    ["RFD 0-100 ms", metrics.rfd100, "kg/s"],
+    ["RFD 0-200 ms", metrics.rfd200, "kg/s"],
+    ["Impulse", metrics.impulse, "kg*s"],
+    ["Fatigue index", metrics.fatigueIndex, "%"],
+  ];
+  return `    <table>
+${rows.map(([name, value, unit]) => `      <tr><td>${name}</td><td>${value === null ? "-" : `${value} ${unit}`}</td></tr>`).join("\n")}
+    </table>`;
+}
+
+/**
+ * curveSVG
+ * Force-time curve, on the sample index when the samples have no time
+ * @param {Object[]} samples - { t, raw, kg }
+ * @param {number=} max - peak, marked on the curve
+ */
+function curveSVG(samples, max) {
+  const width = 800, height = 360, left = 50, bottom = 40, top = 20, right = 20;
+  if (!samples.length) return "    <p>No samples</p>";
+
+  const xs = samples.map((sample, i) => (sample.t === null || sample.t === undefined ? i : sample.t));
+  const timed = samples[0].t !== null && samples[0].t !== undefined;
+  const xMax = Math.max(...xs) || 1;
+  const yMax = Math.ceil(Math.max(...samples.map((sample) => sample.kg), 1) / 5) * 5;
+  const x = (value) => left + (value / xMax) * (width - left - right);
+  const y = (value) => height - bottom - (value / yMax) * (height - top - bottom);
+
+  const points = samples.map((sample, i) => `${x(xs[i]).toFixed(1)},${y(sample.kg).toFixed(1)}`).join(" ");
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((f) => yMax * f);
+  const grid = ticks.map((value) => (
+    `<line x1="${left}" x2="${width - right}" y1="${y(value)}" y2="${y(value)}" stroke="#ddd" />` +
+    `<text x="${left - 8}" y="${y(value) + 4}" text-anchor="end" font-size="12">${value}</text>`
+  )).join("\n      ");
+  const peak = max === null || max === undefined ? "" :
+    `<line x1="${left}" x2="${width - right}" y1="${y(max)}" y2="${y(max)}" stroke="#e33" stroke-dasharray="6 4" />`;
+
+  return `    <svg viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+      ${grid}
+      ${peak}
+      <polyline points="${points}" fill="none" stroke="#1a7f37" stroke-width="2" />
+      <text x="${width / 2}" y="${height - 8}" text-anchor="middle" font-size="12">${timed ? "time [ms]" : "sample"}</text>
+      <text x="14" y="${height / 2}" text-anchor="middle" font-size="12" transform="rotate(-90 14 ${height / 2})">force [kg]</text>
+    </svg>`;
+}
+
+/**
+ * formatKg
+ * @param {number=} value
+ */
+function formatKg(value) {
+  return value === null || value === undefined ? "-" : `${Number(value).toFixed(1)} kg`;
+}
+
+/**
+ * escapeHTML
+ * @param {*} value
+ */
+function escapeHTML(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const render = { csv: toCSV, json: toJSON, html: toHTML };
+
+module.exports = { ReportExporter, FORMATS, samplesOf, toCSV, toJSON, toHTML };
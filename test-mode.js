@@ -0,0 +1,273 @@
+/**
+ * Test modes
+ * What a measurement asks the patient, from the inputData.test of
+ * measureStart / protocolStart / measureSamplingOn, over config.testModes:
+ *
+ *   max       --> a single maximal squeeze (default), ends with config.end
+ *   endurance --> hold `target` % (+/- `tolerance` points) of a previous max as
+ *                 long as possible, ends when the force stays under the band
+ *                 for `releaseTime` ms
+ *   repeated  --> `reps` squeezes, `work` ms squeezing and `rest` ms resting,
+ *                 the cadence starts with the first squeeze
+ *
+ *   "test": { "mode": "endurance", "target": 50, "tolerance": 10, "referenceMax": 42.5 }
+ *   "test": { "mode": "repeated", "reps": 6, "work": 3000, "rest": 2000 }
+ *
+ * The previous max is `referenceMax`, or the last max measured on the session.
+ * Every weight of the measurement goes through update(), which returns the
+ * reps detected and the end of the test.
+ */
+
+const TEST_MODES = ["max", "endurance", "repeated"];
+
+const defaults = {
+  max: {},
+  endurance: { target: 50, tolerance: 10, releaseTime: 1000, maxDuration: 120000 },
+  repeated: { reps: 6, work: 3000, rest: 2000 },
+};
+
+/**
+ * resolveTest
+ * @param {Object} config - config.json content
+ * @param {Object=} test - inputData.test, over config.testModes
+ * @returns {Object} { mode, ...options of the mode }
+ */
+function resolveTest(config, test = {}) {
+  const mode = test.mode || "max";
+  if (!TEST_MODES.includes(mode)) throw new Error(`Unknown test mode ${mode}`);
+  const options = { ...defaults[mode], ...(config.testModes || {})[mode], ...test, mode };
+
+  if (mode === "endurance") {
+    if (!(options.target > 0 && options.target <= 100)) throw new Error("test: target must be between 0 and 100");
+    if (!(options.tolerance >= 0 && options.tolerance < options.target)) throw new Error("test: tolerance must be between 0 and target");
+    if (!(options.releaseTime > 0)) throw new Error("test: releaseTime must be > 0");
+    if (!(options.maxDuration > 0)) throw new Error("test: maxDuration must be > 0");
+  }
+  if (mode === "repeated") {
+    if (!(Number.isInteger(options.reps) && options.reps > 0)) throw new Error("test: reps must be an integer > 0");
+    if (!(options.work > 0 && options.rest > 0)) throw new Error("test: work and rest must be > 0");
+  }
+  if (options.referenceMax !== undefined && !(options.referenceMax > 0)) {
+    throw new Error("test: referenceMax must be > 0");
+  }
+  return options;
+}
+
+/**
+ * band
+ * Target band of the gauge, in kg
+ * @param {Object} options - resolveTest() result
+ * @param {number=} referenceMax
+ * @returns {Object|undefined} { referenceMax, target, low, high }
+ */
+function band({ target, tolerance = 0 }, referenceMax) {
+  if (!target || !referenceMax) return undefined;
+  const kg = (percent) => Number((referenceMax * percent / 100).toFixed(2));
+  return { referenceMax, target: kg(target), low: kg(target - tolerance), high: kg(target + tolerance) };
+}
+
+/**
+ * EnduranceTest
+ * @param {Object} options - resolveTest() result
+ * @param {Object} context
+ * @param {number} context.trigger - config.trigger, kg
+ * @param {number} context.referenceMax - previous max, kg
+ */
+class EnduranceTest {
+  constructor(options, { trigger, referenceMax }) {
+    this.options = options;
+    this.trigger = trigger;
+    this.band = band(options, referenceMax);
+    this.previousT = undefined;
+    // hold: from the first weight in the band to the last one above its low limit
+    this.holdStart = undefined;
+    this.holdEnd = undefined;
+    this.inBand = 0;
+    // first weight of the release in progress
+    this.releasedAt = undefined;
+    this.slope = new Slope();
+  }
+
+  timer() {
+    return { ms: this.options.maxDuration, reason: "maxDuration" };
+  }
+
+  /**
+   * update
+   * @param {number} t - ms from the measurement start
+   * @param {number} kg
+   * @returns {Object} { end } once the force left the band
+   */
+  update(t, kg) {
+    const { low, high } = this.band;
+    const dt = this.previousT === undefined ? 0 : t - this.previousT;
+    this.previousT = t;
+    if (kg >= low && kg <= high) this.inBand += dt;
+
+    if (kg >= low) {
+      if (this.holdStart === undefined) this.holdStart = t;
+      this.holdEnd = t;
+      this.slope.add(t, kg);
+    }
+    // before the band is reached, the patient may also give up
+    const threshold = this.holdStart === undefined ? this.trigger : low;
+    if (kg >= threshold) this.releasedAt = undefined;
+    else if (this.releasedAt === undefined) this.releasedAt = t;
+    if (this.releasedAt !== undefined && t - this.releasedAt >= this.options.releaseTime) return { end: "release" };
+    return {};
+  }
+
+  result() {
+    const held = this.holdStart !== undefined;
+    return {
+      mode: "endurance",
+      ...this.band,
+      holdTime: held ? Number((this.holdEnd - this.holdStart).toFixed(1)) : 0,
+      inBandTime: Number(this.inBand.toFixed(1)),
+      declineSlope: this.slope.value(),
+    };
+  }
+}
+
+/**
+ * RepeatedTest
+ * A rep starts above config.trigger and ends under half of it
+ * @param {Object} options - resolveTest() result
+ * @param {Object} context
+ * @param {number} context.trigger - config.trigger, kg
+ * @param {number=} context.referenceMax - previous max, draws a target band when options.target is set
+ */
+class RepeatedTest {
+  constructor(options, { trigger, referenceMax }) {
+    this.options = options;
+    this.trigger = trigger;
+    this.band = band(options, referenceMax);
+    this.reps = [];
+    this.current = undefined;
+    this.slope = new Slope();
+  }
+
+  timer() {
+    const { reps, work, rest } = this.options;
+    return { ms: reps * (work + rest), reason: "duration" };
+  }
+
+  /**
+   * cue
+   * Cadence at time t
+   * @param {number} t - ms from the measurement start
+   * @returns {{ rep, phase, remaining }} phase work or rest, remaining ms of the phase
+   */
+  cue(t) {
+    const { work, rest } = this.options;
+    const cycle = work + rest;
+    const within = t % cycle;
+    return {
+      rep: Math.floor(t / cycle) + 1,
+      phase: within < work ? "work" : "rest",
+      remaining: within < work ? work - within : cycle - within,
+    };
+  }
+
+  /**
+   * update
+   * @param {number} t - ms from the measurement start
+   * @param {number} kg
+   * @returns {Object} { rep } when a rep ended, { end: "reps" } after the last one
+   */
+  update(t, kg) {
+    const { current } = this;
+    if (!current) {
+      if (kg <= this.trigger) return {};
+      this.current = { start: t, end: t, peak: kg, sum: kg, count: 1 };
+      return {};
+    }
+    if (kg >= this.trigger / 2) {
+      current.end = t;
+      current.peak = Math.max(current.peak, kg);
+      current.sum += kg;
+      current.count++;
+      return {};
+    }
+
+    this.current = undefined;
+    const { work, rest } = this.options;
+    const rep = {
+      rep: this.reps.length + 1,
+      start: Number(current.start.toFixed(1)),
+      duration: Number((current.end - current.start).toFixed(1)),
+      peak: current.peak,
+      mean: Number((current.sum / current.count).toFixed(2)),
+      // started while squeezing was asked, or in the second half of the rest before (anticipation)
+      onCadence: (current.start + rest / 2) % (work + rest) < work + rest / 2,
+    };
+    this.reps.push(rep);
+    this.slope.add(current.start, current.peak);
+    if (this.reps.length >= this.options.reps) return { rep, end: "reps" };
+    return { rep };
+  }
+
+  result() {
+    const { reps, work, rest } = this.options;
+    return {
+      mode: "repeated",
+      ...this.band,
+      reps,
+      work,
+      rest,
+      detected: this.reps.length,
+      repPeaks: this.reps.map((rep) => rep.peak),
+      repetitions: this.reps,
+      declineSlope: this.slope.value(),
+    };
+  }
+}
+
+/**
+ * Slope
+ * Least squares slope of the force over time, kg/s
+ */
+class Slope {
+  constructor() {
+    this.n = this.sumT = this.sumKg = this.sumTT = this.sumTKg = 0;
+  }
+
+  /**
+   * add
+   * @param {number} t - ms
+   * @param {number} kg
+   */
+  add(t, kg) {
+    const s = t / 1000;
+    this.n++;
+    this.sumT += s;
+    this.sumKg += kg;
+    this.sumTT += s * s;
+    this.sumTKg += s * kg;
+  }
+
+  /**
+   * value
+   * @returns {number|null} null with less than two points
+   */
+  value() {
+    const { n } = this;
+    const denominator = n * this.sumTT - this.sumT * this.sumT;
+    if (n < 2 || !denominator) return null;
+    return Number(((n * this.sumTKg - this.sumT * this.sumKg) / denominator).toFixed(3));
+  }
+}
+
+/**
+ * createTest
+ * @param {Object} options - resolveTest() result
+ * @param {Object} context - { trigger, referenceMax }
+ * @returns {EnduranceTest|RepeatedTest|undefined} undefined for a max test
+ */
+function createTest(options, context) {
+  if (options.mode === "endurance") return new EnduranceTest(options, context);
+  if (options.mode === "repeated") return new RepeatedTest(options, context);
+  return undefined;
+}
+
+module.exports = { resolveTest, createTest, EnduranceTest, RepeatedTest, TEST_MODES };
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BaselineTracker } = require('../baseline-tracker');
+
+const COEF = 0.00125;
+
+/**
+ * fill
+ * A window of values, one every 10 ms
+ * @param {BaselineTracker} tracker
+ * @param {Function} valueAt - (i) => raw value
+ * @param {number=} from - ms
+ */
+function fill(tracker, valueAt, from = 0) {
+  for (let i = 0; i <= tracker.window / 10; i++) tracker.add(valueAt(i), from + i * 10);
+}
+
+test('a quiet window is stable, its mean is the baseline', () => {
+  const tracker = new BaselineTracker({ window: 1000 });
+  fill(tracker, (i) => 30000 + (i % 2 ? 20 : -20));
+  assert.ok(tracker.full);
+  const window = tracker.evaluate(COEF);
+  assert.ok(window.stable);
+  tracker.set(window);
+  assert.ok(Math.abs(tracker.value - 30000) < 1);
+  assert.strictEqual(tracker.stats(COEF).noise, 0.025);
+});
+
+test('a noisy window is not stable', () => {
+  const tracker = new BaselineTracker({ window: 1000, maxNoise: 0.2 });
+  fill(tracker, (i) => 30000 + (i % 2 ? 400 : -400));
+  assert.strictEqual(tracker.evaluate(COEF).stable, false);
+  assert.strictEqual(tracker.full, false);
+});
+
+test('isolated spikes are left out of the mean', () => {
+  const tracker = new BaselineTracker({ window: 1000 });
+  fill(tracker, (i) => (i === 50 ? 36000 : 30000));
+  const window = tracker.evaluate(COEF);
+  assert.ok(window.stable);
+  assert.strictEqual(window.outliers, 1);
+  assert.strictEqual(window.mean, 30000);
+});
+
+test('a small move of the unloaded grip is drift', () => {
+  const tracker = new BaselineTracker({ window: 1000, driftLimit: 0.3 });
+  fill(tracker, () => 30000);
+  tracker.set(tracker.evaluate(COEF));
+  fill(tracker, () => 30100, 2000);
+  assert.deepStrictEqual(tracker.track(COEF), { type: "drift", previous: 30000 });
+  assert.strictEqual(tracker.value, 30100);
+  assert.strictEqual(tracker.stats(COEF).drift, 0.125);
+});
+
+test('nothing moves before the window is full', () => {
+  const tracker = new BaselineTracker({ window: 1000 });
+  fill(tracker, () => 30000);
+  tracker.set(tracker.evaluate(COEF));
+  tracker.add(31000, 5000);
+  assert.strictEqual(tracker.track(COEF), undefined);
+});
+
+test('a light load is a shift, reported once, the baseline stays', () => {
+  const tracker = new BaselineTracker({ window: 1000, driftLimit: 0.3 });
+  fill(tracker, () => 30000);
+  tracker.set(tracker.evaluate(COEF));
+  // a hand resting on the grip, 0.8 kg
+  fill(tracker, () => 30640, 2000);
+  assert.deepStrictEqual(tracker.track(COEF), { type: "shift", offset: 0.8 });
+  fill(tracker, () => 30640, 4000);
+  assert.strictEqual(tracker.track(COEF), undefined);
+  assert.strictEqual(tracker.value, 30000);
+
+  // back to unloaded, a new shift is reported again
+  fill(tracker, () => 30000, 6000);
+  assert.strictEqual(tracker.track(COEF), undefined);
+  fill(tracker, () => 30640, 8000);
+  assert.strictEqual(tracker.track(COEF).type, "shift");
+  assert.strictEqual(tracker.stats(COEF).shifts, 2);
+});
+
+test('drift is capped from the first baseline, slow steps do not add up', () => {
+  const tracker = new BaselineTracker({ window: 1000, driftLimit: 0.3 });
+  fill(tracker, () => 30000);
+  tracker.set(tracker.evaluate(COEF));
+  fill(tracker, () => 30200, 2000);
+  assert.strictEqual(tracker.track(COEF).type, "drift");
+  fill(tracker, () => 30400, 4000);
+  assert.deepStrictEqual(tracker.track(COEF), { type: "shift", offset: 0.25 });
+  assert.strictEqual(tracker.value, 30200);
+});
+
+test('a re-tare drops the baseline, the next window gives the new one', () => {
+  const tracker = new BaselineTracker({ window: 1000, driftLimit: 0.3 });
+  fill(tracker, () => 30000);
+  tracker.set(tracker.evaluate(COEF));
+  tracker.retare();
+  assert.strictEqual(tracker.value, undefined);
+  assert.strictEqual(tracker.stats(COEF), undefined);
+
+  // picked up in another position
+  fill(tracker, () => 30400, 3000);
+  tracker.set(tracker.evaluate(COEF));
+  assert.strictEqual(tracker.value, 30400);
+  assert.strictEqual(tracker.stats(COEF).retares, 1);
+  assert.strictEqual(tracker.stats(COEF).drift, 0);
+
+  // a new measurement counts again
+  tracker.reset();
+  assert.strictEqual(tracker.retares, 0);
+});
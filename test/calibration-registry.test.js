@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CalibrationRegistry = require('../calibration-registry');
+const { FakeClock } = require('./fake-clock');
+
+const dirs = [];
+test.after(() => dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+function registryFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kgrip-registry-"));
+  dirs.push(dir);
+  return path.join(dir, "calibration-registry.json");
+}
+
+test('a first_seen coefficient is checked like a calibration', async () => {
+  const filePath = registryFile();
+  const registry = new CalibrationRegistry({ filePath });
+  assert.deepStrictEqual(registry.check("A1", 0.00125).reasons, ["not_calibrated"]);
+
+  await registry.record("A1", { coef: 0.00125, date: new Date().toISOString(), source: "first_seen" });
+  const reloaded = new CalibrationRegistry({ filePath });
+  assert.deepStrictEqual(reloaded.check("A1", 0.00125).reasons, []);
+  assert.strictEqual(reloaded.check("A1", 0.00125).source, "first_seen");
+  assert.deepStrictEqual(reloaded.check("A1", 0.0013).reasons, ["coef_changed"]);
+});
+
+test('a calibration replaces the first_seen coefficient', async () => {
+  const registry = new CalibrationRegistry({ filePath: registryFile() });
+  await registry.record("A1", { coef: 0.00125, date: new Date().toISOString(), source: "first_seen" });
+  await registry.record("A1", { coef: 0.0013, date: new Date().toISOString(), operatorId: "OP-7" });
+  const status = registry.check("A1", 0.0013);
+  assert.deepStrictEqual(status.reasons, []);
+  assert.strictEqual(status.source, undefined);
+});
+
+test('an invalid registry is logged and ignored', () => {
+  const filePath = registryFile();
+  fs.writeFileSync(filePath, "{");
+  const logged = [];
+  const registry = new CalibrationRegistry({ filePath, log: (...args) => logged.push(args) });
+  assert.deepStrictEqual(registry.list(), []);
+  assert.strictEqual(logged[0][0], 1);
+});
+
+test('a calibration expires intervalDays after its date, on the registry clock', async () => {
+  const day = 24 * 60 * 60 * 1000;
+  const clock = new FakeClock(Date.parse("2025-01-10T09:00:00.000Z"));
+  const registry = new CalibrationRegistry({ filePath: registryFile(), intervalDays: 30, clock });
+  await registry.record("A1", { coef: 0.00125, date: "2025-01-10T09:00:00.000Z", operatorId: "OP-7" });
+  assert.strictEqual(registry.get("A1").expiresAt, "2025-02-09T09:00:00.000Z");
+  assert.deepStrictEqual(registry.check("A1", 0.00125).reasons, []);
+
+  await clock.tick(30 * day);
+  assert.deepStrictEqual(registry.check("A1", 0.00125).reasons, []);
+  await clock.tick(1);
+  assert.strictEqual(registry.get("A1").expired, true);
+  assert.deepStrictEqual(registry.check("A1", 0.00125).reasons, ["expired"]);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Calibration, coefDigits, appendLog } = require('../calibration');
+
+/**
+ * capture
+ * One point from raw values
+ * @param {Calibration} calibration
+ * @param {number} mass
+ * @param {number[]} values
+ */
+function capture(calibration, mass, values) {
+  calibration.startCapture();
+  values.forEach((value) => calibration.addSample(value));
+  return calibration.endCapture(mass);
+}
+
+test('a point is the mean and standard deviation of its capture', () => {
+  const calibration = new Calibration();
+  assert.strictEqual(calibration.capturing, false);
+  calibration.addSample(1);
+  calibration.startCapture();
+  assert.strictEqual(calibration.capturing, true);
+  assert.strictEqual(calibration.endCapture(0), undefined);
+
+  const zero = capture(calibration, 0, [29990, 30010, 29990, 30010]);
+  assert.deepStrictEqual(zero, { mass: 0, raw: 30000, sd: 10, samples: 4 });
+  assert.strictEqual(calibration.zero, zero);
+  assert.deepStrictEqual(calibration.points, []);
+  // no loaded point, nothing to fit
+  assert.strictEqual(calibration.result, undefined);
+});
+
+test('exact points: the coefficient through the origin, no residual', () => {
+  const calibration = new Calibration();
+  capture(calibration, 0, [30000]);
+  capture(calibration, 10, [20000]);
+  capture(calibration, 20, [10000]);
+  const { coef, r2, maxResidual, residuals } = calibration.result;
+  assert.strictEqual(coef, 0.001);
+  assert.strictEqual(r2, 1);
+  assert.strictEqual(maxResidual, 0);
+  assert.deepStrictEqual(residuals, [
+    { mass: 10, raw: 20000, predicted: 10, residual: 0 },
+    { mass: 20, raw: 10000, predicted: 20, residual: 0 },
+  ]);
+});
+
+test('least squares fit and residuals of points off the line', () => {
+  const calibration = new Calibration();
+  // the zero may be captured after the loaded points
+  capture(calibration, 10, [20000]);
+  capture(calibration, 20, [10100]);
+  assert.strictEqual(calibration.result, undefined);
+  capture(calibration, 0, [30000]);
+
+  // sum(delta * mass) / sum(delta^2) = (10000 * 10 + 19900 * 20) / (10000^2 + 19900^2)
+  const coef = 498000 / 496010000;
+  const { result } = calibration;
+  assert.strictEqual(result.coef, Number(coef.toFixed(6)));
+  assert.deepStrictEqual(result.residuals.map((r) => r.residual), [
+    Number((10000 * coef - 10).toFixed(3)),
+    Number((19900 * coef - 20).toFixed(3)),
+  ]);
+  assert.strictEqual(result.maxResidual, Math.max(...result.residuals.map((r) => Math.abs(r.residual))));
+  // residual sum of squares over the 50 kg^2 around the mean mass
+  const ssRes = result.residuals.reduce((sum, r) => sum + r.residual ** 2, 0);
+  assert.strictEqual(result.r2, Number((1 - ssRes / 50).toFixed(4)));
+});
+
+test('a single loaded point has no r2, a point on the zero cannot be fitted', () => {
+  const one = new Calibration();
+  capture(one, 0, [30000]);
+  capture(one, 10, [22000]);
+  assert.strictEqual(one.result.coef, 0.00125);
+  assert.strictEqual(one.result.r2, null);
+
+  const flat = new Calibration();
+  capture(flat, 0, [30000]);
+  capture(flat, 10, [30000]);
+  assert.strictEqual(flat.result, undefined);
+});
+
+test('the log entry, the SetCoef digits and the calibration log', async () => {
+  const clock = { now: () => Date.parse("2025-01-10T09:00:00.000Z") };
+  const calibration = new Calibration({ previousCoef: 0.00125, operatorId: "OP-7", clock });
+  capture(calibration, 0, [30000]);
+  capture(calibration, 10, [20000]);
+  const entry = calibration.entry("A12345");
+  assert.strictEqual(entry.date, "2025-01-10T09:00:00.000Z");
+  assert.strictEqual(entry.deviceId, "A12345");
+  assert.strictEqual(entry.operatorId, "OP-7");
+  assert.strictEqual(entry.previousCoef, 0.00125);
+  assert.strictEqual(entry.coef, 0.001);
+  assert.strictEqual(entry.points.length, 1);
+
+  assert.strictEqual(coefDigits(0.00125), "001250");
+  assert.strictEqual(coefDigits(0.999999), "999999");
+  assert.strictEqual(coefDigits(1), undefined);
+  assert.strictEqual(coefDigits(0), undefined);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kgrip-calibration-"));
+  const filePath = path.join(dir, "calibration.jsonl");
+  await appendLog(filePath, entry);
+  await appendLog(filePath, entry);
+  const lines = fs.readFileSync(filePath, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepStrictEqual(lines, [entry, entry]);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
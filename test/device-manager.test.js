@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const KGripSimulator = require('../kgrip-simulator');
+const DeviceManager = require('../device-manager');
+const { DeviceWatcher } = require('../device-watcher');
+const { FakeClock } = require('./fake-clock');
+
+const config = { vendorId: "1a86", productId: "7523", trigger: 1.8 };
+
+/**
+ * setup
+ * A manager on a started watcher, with one simulated grip plugged in
+ */
+function setup() {
+  const clock = new FakeClock();
+  const device = KGripSimulator.attach({
+    path: "/dev/ttyKGRIPMANAGER",
+    serialNumber: "MANAGER1",
+    vendorId: config.vendorId,
+    productId: config.productId,
+    clock,
+  });
+  const watcher = new DeviceWatcher({ config, Port: KGripSimulator, clock, log: () => {} });
+  watcher.start();
+  const manager = new DeviceManager({ config, Port: KGripSimulator, clock, log: () => {}, watcher });
+  const teardown = () => {
+    manager.close();
+    KGripSimulator.detach(device.path);
+  };
+  return { manager, teardown };
+}
+
+test('measureStart creates the session of a grip the watcher has seen', async () => {
+  const { manager, teardown } = setup();
+  const { sessions, unknown } = await manager.resolve("measureStart", "MANAGER1");
+  assert.deepStrictEqual(sessions.map((session) => session.deviceId), ["MANAGER1"]);
+  assert.deepStrictEqual(unknown, []);
+  assert.strictEqual(manager.find("MANAGER1"), sessions[0]);
+  teardown();
+});
+
+test('an unknown deviceId is rejected, no session is created for it', async () => {
+  const { manager, teardown } = setup();
+  const { sessions, unknown } = await manager.resolve("measureStart", ["MANAGER1", "BOGUS"]);
+  assert.strictEqual(sessions.length, 1);
+  assert.deepStrictEqual(unknown, ["BOGUS"]);
+  assert.strictEqual(manager.find("BOGUS"), undefined);
+  assert.deepStrictEqual(manager.devicesInfo().map((info) => info.deviceId), ["MANAGER1"]);
+  assert.deepStrictEqual((await manager.resolve("measureStop", "BOGUS")).unknown, ["BOGUS"]);
+  teardown();
+});
+
+test('measureStart on every device: one session per grip plugged in', async () => {
+  const { manager, teardown } = setup();
+  const { sessions } = await manager.resolve("measureStart");
+  assert.deepStrictEqual(sessions.map((session) => session.deviceId), ["MANAGER1"]);
+  teardown();
+});
+
+test('without a watcher, the manager starts its own', async () => {
+  const clock = new FakeClock();
+  const device = KGripSimulator.attach({
+    path: "/dev/ttyKGRIPOWN",
+    serialNumber: "OWN1",
+    vendorId: config.vendorId,
+    productId: config.productId,
+    clock,
+  });
+  const manager = new DeviceManager({ config, Port: KGripSimulator, clock, log: () => {} });
+  const { sessions, unknown } = await manager.resolve("measureStart", "OWN1");
+  assert.deepStrictEqual(sessions.map((session) => session.deviceId), ["OWN1"]);
+  assert.deepStrictEqual(unknown, []);
+  manager.close();
+  assert.strictEqual(manager.watcher.timer, undefined);
+  KGripSimulator.detach(device.path);
+});
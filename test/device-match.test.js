@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const KGripSimulator = require('../kgrip-simulator');
+const { createMatcher, rulesOf } = require('../device-match');
+const { DeviceWatcher, deviceIdOf } = require('../device-watcher');
+const { FakeClock } = require('./fake-clock');
+
+const grip = {
+  path: "/dev/ttyUSB0",
+  manufacturer: "QinHeng Electronics",
+  serialNumber: "A12345",
+  locationId: "14200000",
+  vendorId: "1a86",
+  productId: "7523",
+};
+
+test('without config.match the vendorId / productId of config.json is the rule', () => {
+  const config = { vendorId: "1A86", productId: "7523" };
+  assert.deepStrictEqual(rulesOf(config), [{ vendorId: "1A86", productId: "7523" }]);
+  const rank = createMatcher(config);
+  assert.strictEqual(rank(grip), 0);
+  assert.strictEqual(rank({ ...grip, productId: "6001" }), -1);
+});
+
+test('every field of a rule must match, strings ignore the case, /regex/ values are tested', () => {
+  const rank = createMatcher({ match: [{ vendorId: "1a86", manufacturer: "/wch|qinheng/i" }] });
+  assert.strictEqual(rank(grip), 0);
+  assert.strictEqual(rank({ ...grip, manufacturer: "WCH.CN" }), 0);
+  assert.strictEqual(rank({ ...grip, manufacturer: "FTDI" }), -1);
+  assert.strictEqual(rank({ ...grip, manufacturer: undefined }), -1);
+  assert.strictEqual(createMatcher({ match: [{ locationId: 14200000 }] })(grip), 0);
+});
+
+test('a device ranks by the first rule it matches', () => {
+  const rank = createMatcher({
+    match: [
+      { serialNumber: "B67890" },
+      { path: "/dev/ttyUSB0" },
+      { vendorId: "1a86", productId: "7523" },
+    ],
+  });
+  assert.strictEqual(rank({ ...grip, serialNumber: "B67890" }), 0);
+  assert.strictEqual(rank(grip), 1);
+  assert.strictEqual(rank({ ...grip, path: "/dev/ttyUSB1" }), 2);
+});
+
+test('config.pinSerialNumber keeps only those grips, whatever the rules', () => {
+  const rank = createMatcher({ vendorId: "1a86", productId: "7523", pinSerialNumber: ["a12345", "C1"] });
+  assert.strictEqual(rank(grip), 0);
+  assert.strictEqual(rank({ ...grip, serialNumber: "B67890" }), -1);
+  assert.strictEqual(createMatcher({ match: [{ path: "/dev/ttyUSB0" }], pinSerialNumber: "Z9" })(grip), -1);
+});
+
+test('invalid rules are refused', () => {
+  assert.throws(() => createMatcher({ match: [{}] }), /Empty match rule/);
+  assert.throws(() => createMatcher({ match: [{ manufacturer: "/(/" }] }), /Invalid match rule for manufacturer/);
+});
+
+test('the watcher lists the grips by rule order', async () => {
+  const clock = new FakeClock();
+  const devices = ["MATCH1", "MATCH2", "MATCH3"].map((serialNumber, i) => KGripSimulator.attach({
+    path: `/dev/ttyKGRIPMATCH${i}`,
+    serialNumber,
+    vendorId: "1a86",
+    productId: "7523",
+    clock,
+  }));
+  const config = { match: [{ serialNumber: "MATCH3" }, { serialNumber: "/^MATCH[12]$/" }], pinSerialNumber: ["MATCH1", "MATCH3"] };
+  const watcher = new DeviceWatcher({ config, Port: KGripSimulator, clock, log: () => {} });
+  watcher.start();
+  await watcher.ready;
+  assert.deepStrictEqual(watcher.list().map(deviceIdOf), ["MATCH3", "MATCH1"]);
+  watcher.stop();
+  devices.forEach((device) => KGripSimulator.detach(device.path));
+});
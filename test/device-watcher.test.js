@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const KGripSimulator = require('../kgrip-simulator');
+const { DeviceWatcher, deviceIdOf } = require('../device-watcher');
+const { FakeClock, flush } = require('./fake-clock');
+
+const config = { vendorId: "1a86", productId: "7523", hotplugSettle: 300 };
+
+let paths = 0;
+
+/**
+ * plug
+ * A simulated grip, matching config unless told otherwise
+ * @param {Object=} options - KGripSimulator.attach options
+ */
+function plug(options = {}) {
+  const n = paths++;
+  return KGripSimulator.attach({
+    path: `/dev/ttyKGRIPWATCH${n}`,
+    serialNumber: `WATCH${n}`,
+    vendorId: config.vendorId,
+    productId: config.productId,
+    ...options,
+  });
+}
+
+/**
+ * setup
+ * A started watcher and the events it emitted
+ * @param {Object=} options - more DeviceWatcher options
+ */
+async function setup(options = {}) {
+  const clock = new FakeClock();
+  const watcher = new DeviceWatcher({ config, Port: KGripSimulator, clock, log: () => {}, ...options });
+  const events = [];
+  watcher.on('attached', (device) => events.push(["attached", deviceIdOf(device)]));
+  watcher.on('detached', (device) => events.push(["detached", deviceIdOf(device)]));
+  watcher.start();
+  await watcher.ready;
+  return { clock, watcher, events };
+}
+
+test('a hot-plugged grip is listed once the port settled, an unplugged one at once', async () => {
+  const { clock, watcher, events } = await setup({ hotplug: KGripSimulator.hotplug });
+  assert.deepStrictEqual(watcher.list(), []);
+
+  const device = plug();
+  await clock.tick(299);
+  assert.deepStrictEqual(events, []);
+  await clock.tick(1);
+  assert.deepStrictEqual(events, [["attached", device.serialNumber]]);
+  assert.deepStrictEqual(watcher.list().map((entry) => entry.path), [device.path]);
+
+  KGripSimulator.detach(device.path);
+  await flush();
+  assert.deepStrictEqual(events, [["attached", device.serialNumber], ["detached", device.serialNumber]]);
+  assert.deepStrictEqual(watcher.list(), []);
+  // still known, for the commands naming it and the reconnection
+  assert.ok(watcher.knows(device.serialNumber));
+  assert.strictEqual(watcher.lastPath(device.serialNumber), device.path);
+  watcher.stop();
+});
+
+test('without hot-plug events the list is polled every second', async () => {
+  const { clock, watcher, events } = await setup();
+  const device = plug();
+  await clock.tick(999);
+  assert.deepStrictEqual(events, []);
+  await clock.tick(1);
+  assert.deepStrictEqual(events, [["attached", device.serialNumber]]);
+
+  watcher.stop();
+  KGripSimulator.detach(device.path);
+  await clock.tick(5000);
+  assert.strictEqual(events.length, 1);
+});
+
+test('the other serial ports are left out, a grip without serial number is known by its path', async () => {
+  const other = plug({ vendorId: "0403", productId: "6001" });
+  const device = plug();
+  const { watcher } = await setup();
+  assert.deepStrictEqual(watcher.list().map(deviceIdOf), [device.serialNumber]);
+  assert.strictEqual(watcher.knows(other.serialNumber), false);
+  assert.strictEqual(deviceIdOf({ path: "/dev/ttyUSB0", serialNumber: undefined }), "/dev/ttyUSB0");
+  watcher.stop();
+  KGripSimulator.detach(other.path);
+  KGripSimulator.detach(device.path);
+});
+
+test('a grip moved to another port is detached and attached again', async () => {
+  const device = plug();
+  const { clock, watcher, events } = await setup();
+  KGripSimulator.detach(device.path);
+  const moved = plug({ serialNumber: device.serialNumber });
+  await clock.tick(1000);
+  assert.deepStrictEqual(events, [
+    ["attached", device.serialNumber],
+    ["detached", device.serialNumber],
+    ["attached", device.serialNumber],
+  ]);
+  assert.strictEqual(watcher.lastPath(device.serialNumber), moved.path);
+  watcher.stop();
+  KGripSimulator.detach(moved.path);
+});
+
+test('a failed Port.list() is a scanError, the list is kept', async () => {
+  const device = plug();
+  let failing = false;
+  const Port = { list: () => (failing ? Promise.reject(new Error("no access")) : KGripSimulator.list()) };
+  const { clock, watcher } = await setup({ Port });
+  const errors = [];
+  watcher.on('scanError', (error) => errors.push(error.message));
+  failing = true;
+  await clock.tick(1000);
+  assert.deepStrictEqual(errors, ["no access"]);
+  assert.deepStrictEqual(watcher.list().map(deviceIdOf), [device.serialNumber]);
+  watcher.stop();
+  KGripSimulator.detach(device.path);
+});
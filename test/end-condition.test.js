@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveEnd, EndDetector } = require('../end-condition');
+
+const config = { trigger: 1.8, duration: 5000 };
+
+/**
+ * run
+ * @param {EndDetector} detector
+ * @param {number[]} weights - one every 10 ms
+ * @returns {{ reason, t }|undefined}
+ */
+function run(detector, weights) {
+  for (let i = 0; i < weights.length; i++) {
+    const reason = detector.update(i * 10, weights[i]);
+    if (reason) return { reason, t: i * 10 };
+  }
+  return undefined;
+}
+
+test('config.duration is the default end', () => {
+  const end = resolveEnd(config);
+  assert.strictEqual(end.mode, "duration");
+  assert.deepStrictEqual(new EndDetector(end).timer(), { ms: 5000, reason: "duration" });
+});
+
+test('inputData.end overrides config.end', () => {
+  const end = resolveEnd({ ...config, end: { mode: "release", releaseTime: 200 } }, { releaseTime: 500 });
+  assert.strictEqual(end.mode, "release");
+  assert.strictEqual(end.releaseTime, 500);
+  assert.strictEqual(end.releaseThreshold, 1.8);
+});
+
+test('invalid ends are refused', () => {
+  assert.throws(() => resolveEnd(config, { mode: "peak" }), /Unknown end mode/);
+  assert.throws(() => resolveEnd(config, { decline: 120 }), /decline/);
+  assert.throws(() => resolveEnd(config, { maxDuration: 0 }), /maxDuration/);
+  assert.throws(() => resolveEnd(config, { declineTime: 0 }), /declineTime/);
+});
+
+test('release ends once the force stayed under the threshold', () => {
+  const detector = new EndDetector(resolveEnd(config, { mode: "release", releaseTime: 50 }));
+  assert.deepStrictEqual(new EndDetector(detector.options).timer(), { ms: 10000, reason: "maxDuration" });
+  // a short dip does not end it
+  const weights = [5, 20, 1, 20, 20, 1, 1, 1, 1, 1, 1, 1];
+  assert.deepStrictEqual(run(detector, weights), { reason: "release", t: 100 });
+});
+
+test('decline ends once the force stayed under the peak', () => {
+  const detector = new EndDetector(resolveEnd(config, { mode: "decline", decline: 30, declineTime: 10 }));
+  const weights = [5, 10, 20, 30, 30, 25, 20, 18];
+  assert.deepStrictEqual(run(detector, weights), { reason: "decline", t: 70 });
+});
+
+test('a dip right after the trigger does not end a decline', () => {
+  const detector = new EndDetector(resolveEnd(config, { mode: "decline" }));
+  assert.strictEqual(detector.options.declineTime, 300);
+  // 2.5 kg at the trigger, a slip to 1.5 kg for 50 ms, then the squeeze
+  const weights = [2.5, 2.5, 1.5, 1.5, 1.5, 1.5, 1.5, 10, 20, 30];
+  assert.strictEqual(run(detector, weights), undefined);
+  // then a decline held for declineTime
+  const end = run(new EndDetector(detector.options), weights.concat(new Array(31).fill(15)));
+  assert.deepStrictEqual(end, { reason: "decline", t: 400 });
+});
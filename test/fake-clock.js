@@ -0,0 +1,82 @@
+/**
+ * FakeClock
+ * Same interface as the systemClock of the sessions, the watcher and the
+ * simulator, but the time only moves with tick(). The streams between the
+ * simulator, the parser and the session are flushed after every timer.
+ */
+class FakeClock {
+  constructor(start = 0) {
+    this.time = start;
+    this.timers = new Map();
+    this.nextId = 1;
+  }
+
+  setTimeout(fn, ms) {
+    const id = this.nextId++;
+    this.timers.set(id, { fn, at: this.time + Math.max(0, ms || 0) });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  setInterval(fn, ms) {
+    const id = this.nextId++;
+    this.timers.set(id, { fn, at: this.time + ms, interval: ms });
+    return id;
+  }
+
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+
+  now() {
+    return this.time;
+  }
+
+  /**
+   * tick
+   * Runs every timer due within ms, in order
+   * @param {number} ms
+   */
+  async tick(ms) {
+    const end = this.time + ms;
+    await flush();
+    for (;;) {
+      const next = this.next(end);
+      if (!next) break;
+      const [id, timer] = next;
+      this.time = timer.at;
+      if (timer.interval) timer.at += timer.interval;
+      else this.timers.delete(id);
+      timer.fn();
+      await flush();
+    }
+    this.time = end;
+    await flush();
+  }
+
+  /**
+   * next
+   * @param {number} end
+   * @returns {Array|undefined} [id, timer] of the first timer due before end
+   */
+  next(end) {
+    let first;
+    this.timers.forEach((timer, id) => {
+      if (timer.at <= end && (!first || timer.at < first[1].at)) first = [id, timer];
+    });
+    return first;
+  }
+}
+
+/**
+ * flush
+ * pending stream events and promises
+ */
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+module.exports = { FakeClock, flush };
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FilterChain, MovingAverage, Median, Butterworth, SpikeRejection } = require('../force-filter');
+
+const run = (filter, values) => values.map((value) => filter.process(value));
+
+test('moving average of the last samples', () => {
+  assert.deepStrictEqual(run(new MovingAverage({ window: 2 }), [2, 4, 6]), [2, 3, 5]);
+});
+
+test('median of the last samples', () => {
+  assert.deepStrictEqual(run(new Median({ window: 3 }), [1, 9, 2, 3]), [1, 5, 2, 3]);
+});
+
+test('butterworth starts settled and follows a constant force', () => {
+  const output = run(new Butterworth({ cutoff: 10 }), [20, 20, 20, 20]);
+  output.forEach((value) => assert.ok(Math.abs(value - 20) < 1e-9));
+});
+
+test('butterworth attenuates a step', () => {
+  const output = run(new Butterworth({ cutoff: 5 }), [0, 0, 10]);
+  assert.ok(output[2] > 0 && output[2] < 10);
+});
+
+test('spike rejection replaces an isolated spike by the median', () => {
+  const filter = new SpikeRejection({ threshold: 5, window: 3 });
+  assert.deepStrictEqual(run(filter, [10, 10, 30, 10]), [10, 10, 10, 10]);
+  assert.strictEqual(filter.rejected, 1);
+});
+
+test('spike rejection accepts a force that really moved', () => {
+  const filter = new SpikeRejection({ threshold: 5, window: 2 });
+  assert.deepStrictEqual(run(filter, [10, 30, 30, 30, 30]), [10, 10, 10, 30, 30]);
+});
+
+test('the chain applies the config filters in order and describes them', () => {
+  const chain = new FilterChain([{ type: "spike", threshold: 5, window: 3 }, { type: "movingAverage", window: 2 }]);
+  assert.ok(chain.active);
+  assert.deepStrictEqual(run(chain, [10, 10, 30]), [10, 10, 10]);
+  assert.deepStrictEqual(chain.describe(), [
+    { type: "spike", threshold: 5, window: 3, rejected: 1 },
+    { type: "movingAverage", window: 2 },
+  ]);
+  chain.reset();
+  assert.strictEqual(chain.process(4), 4);
+});
+
+test('invalid filters are refused', () => {
+  assert.throws(() => new FilterChain([{ type: "kalman" }]), /Unknown filter/);
+  assert.throws(() => new FilterChain([{ type: "butterworth", cutoff: 80 }]), /cutoff/);
+  assert.strictEqual(new FilterChain().active, false);
+});
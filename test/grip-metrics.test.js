@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeMetrics, forceAt } = require('../grip-metrics');
+
+/**
+ * curve
+ * One sample every 10 ms
+ * @param {Function} kgAt - (t) => kg
+ * @param {number} duration - ms
+ */
+function curve(kgAt, duration) {
+  const samples = [];
+  for (let t = 0; t <= duration; t += 10) samples.push({ t, raw: 0, kg: kgAt(t) });
+  return samples;
+}
+
+test('force between two samples is interpolated', () => {
+  const samples = [{ t: 0, kg: 2 }, { t: 10, kg: 4 }];
+  assert.strictEqual(forceAt(samples, 5), 3);
+  assert.strictEqual(forceAt(samples, 20), null);
+});
+
+test('rfd follows the dips under the trigger', () => {
+  // a dip to 1 kg between 50 and 100 ms
+  const samples = curve((t) => (t >= 50 && t < 100 ? 1 : 2 + t / 10), 300);
+  const metrics = computeMetrics(samples);
+  assert.strictEqual(metrics.rfd100, 100);
+  assert.strictEqual(metrics.rfd200, 100);
+  assert.strictEqual(metrics.timeToPeak, 300);
+});
+
+test('the fatigue index is taken at the last sample of the window', () => {
+  const samples = curve((t) => (t < 1000 ? 20 : t < 4000 ? 10 : 0), 5000);
+  const metrics = computeMetrics(samples);
+  assert.strictEqual(metrics.fatigueIndex, 100);
+  assert.strictEqual(metrics.timeToPeak, 0);
+  assert.strictEqual(computeMetrics(curve((t) => (t < 1000 ? 20 : 15), 5000)).fatigueIndex, 25);
+});
+
+test('no metric without samples', () => {
+  assert.deepStrictEqual(computeMetrics([]), {
+    timeToPeak: null, rfd100: null, rfd200: null, impulse: null, fatigueIndex: null,
+  });
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HistoryStore = require('../history-store');
+
+const dirs = [];
+test.after(() => dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+function historyFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kgrip-history-"));
+  dirs.push(dir);
+  return path.join(dir, "history.jsonl");
+}
+
+const samples = (count) => Array.from({ length: count }, (_, i) => ({ t: i * 10, raw: 30000 + i, kg: i / 100 }));
+
+test('keeps the records without their samples in memory, reads them from the file', async () => {
+  const filePath = historyFile();
+  const history = new HistoryStore({ filePath });
+  const first = await history.append({ sessionId: "S1", patientId: "P1", max: 30, rawSamples: samples(3) });
+  await history.append({ sessionId: "S2", patientId: "P2", max: 25, rawSamples: samples(2) });
+
+  assert.ok(history.entries.every(({ summary }) => summary.rawSamples === undefined));
+  assert.deepStrictEqual(history.list().map((record) => [record.sessionId, record.samples]), [["S2", 2], ["S1", 3]]);
+  assert.deepStrictEqual((await history.get(first.id)).rawSamples, samples(3));
+  assert.deepStrictEqual((await history.get("S2")).rawSamples, samples(2));
+  assert.strictEqual(await history.get("unknown"), undefined);
+
+  const reloaded = new HistoryStore({ filePath, log: () => {} });
+  assert.deepStrictEqual(reloaded.list(), history.list());
+  assert.deepStrictEqual((await reloaded.get("S1")).rawSamples, samples(3));
+});
+
+test('get waits for the record being appended', async () => {
+  const history = new HistoryStore({ filePath: historyFile() });
+  const appending = history.append({ sessionId: "S1", rawSamples: samples(5) });
+  assert.deepStrictEqual((await history.get("S1")).rawSamples, samples(5));
+  await appending;
+});
+
+test('the records after a deleted one are still read from the file', async () => {
+  const filePath = historyFile();
+  const history = new HistoryStore({ filePath });
+  await history.append({ sessionId: "S1", patientId: "P1", rawSamples: samples(4) });
+  await history.append({ sessionId: "S2", patientId: "P2", rawSamples: samples(2) });
+  await history.append({ sessionId: "S3", patientId: "P1", rawSamples: samples(3) });
+
+  assert.strictEqual(await history.delete({ patientId: "P1" }), 2);
+  await history.append({ sessionId: "S4", patientId: "P3", rawSamples: samples(1) });
+  assert.deepStrictEqual(history.list().map((record) => record.sessionId), ["S4", "S2"]);
+  assert.deepStrictEqual((await history.get("S2")).rawSamples, samples(2));
+  assert.deepStrictEqual((await history.get("S4")).rawSamples, samples(1));
+  assert.deepStrictEqual(new HistoryStore({ filePath }).list(), history.list());
+});
+
+test('skips the invalid lines through the log', async () => {
+  const filePath = historyFile();
+  fs.writeFileSync(filePath, `{"id":"a","rawSamples":[]}\nnot json\n{"id":"b"}`);
+  const logged = [];
+  const history = new HistoryStore({ filePath, log: (...args) => logged.push(args) });
+  assert.deepStrictEqual(history.list().map((record) => record.id), ["b", "a"]);
+  assert.strictEqual(logged.length, 1);
+  assert.strictEqual((await history.get("b")).id, "b");
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { KGripParser, checksums } = require('../kgrip-parser');
+const KGripSimulator = require('../kgrip-simulator');
+
+/**
+ * parse
+ * @param {Buffer[]} chunks - written one by one
+ * @param {Object=} options - KGripParser options
+ * @returns {{ packets: Buffer[], coefs: number[], corrupt: Object[], stats: Object }}
+ */
+function parse(chunks, options) {
+  const parser = new KGripParser(options);
+  const result = { packets: [], coefs: [], corrupt: [] };
+  parser.on('data', (packet) => result.packets.push(packet));
+  parser.on('coef', (coef) => result.coefs.push(coef));
+  parser.on('corrupt', (frame) => result.corrupt.push(frame));
+  chunks.forEach((chunk) => parser.write(chunk));
+  result.stats = parser.stats;
+  return result;
+}
+
+// the packet documented in main.js, as streamed by a real KForceGrip
+const DEVICE_PACKET = Buffer.from("fffffe0dac000000000040", "hex");
+
+test('accepts the packet of the device with the default config', () => {
+  const { packets, corrupt } = parse([DEVICE_PACKET, DEVICE_PACKET]);
+  assert.strictEqual(packets.length, 2);
+  assert.strictEqual(packets[0].readUInt16BE(3), 3500);
+  assert.strictEqual(corrupt.length, 0);
+});
+
+test('the simulator streams the packets of the device', () => {
+  assert.deepStrictEqual(KGripSimulator.packet(3500), DEVICE_PACKET);
+});
+
+test('frames the packets of a stream cut anywhere', () => {
+  const stream = Buffer.concat([1000, 2000, 3000].map((value) => KGripSimulator.packet(value)));
+  const chunks = [stream.slice(0, 4), stream.slice(4, 15), stream.slice(15)];
+  const { packets, corrupt } = parse(chunks);
+  assert.deepStrictEqual(packets.map((packet) => packet.readUInt16BE(3)), [1000, 2000, 3000]);
+  assert.strictEqual(corrupt.length, 0);
+});
+
+test('tells the GetCoef replies apart from the packets', () => {
+  const { packets, coefs } = parse([Buffer.concat([
+    Buffer.from("001250"),
+    KGripSimulator.packet(3500),
+  ])]);
+  assert.deepStrictEqual(coefs, [0.00125]);
+  assert.strictEqual(packets.length, 1);
+});
+
+test('drops a frame with lost bytes and resyncs on the next header', () => {
+  const broken = KGripSimulator.packet(1000).slice(0, 6);
+  const { packets, corrupt, stats } = parse([Buffer.concat([broken, KGripSimulator.packet(2000)])]);
+  assert.deepStrictEqual(packets.map((packet) => packet.readUInt16BE(3)), [2000]);
+  assert.strictEqual(corrupt.length, 1);
+  assert.strictEqual(corrupt[0].reason, "structure");
+  assert.strictEqual(stats.droppedBytes, 6);
+});
+
+test('drops the garbage between two packets', () => {
+  const { packets, corrupt } = parse([Buffer.concat([
+    KGripSimulator.packet(1000),
+    Buffer.from([0x01, 0x02, 0x03]),
+    KGripSimulator.packet(2000),
+  ])]);
+  assert.strictEqual(packets.length, 2);
+  assert.deepStrictEqual(corrupt.map((frame) => frame.reason), ["garbage"]);
+});
+
+test('checks the checksum it is configured with', () => {
+  const valid = KGripSimulator.packet(3500);
+  valid[10] = checksums.sum(valid);
+  const corrupt = Buffer.from(valid);
+  corrupt[10] = (corrupt[10] + 1) & 0xff;
+  const { packets, stats } = parse([valid, corrupt], { checksum: "sum" });
+  assert.strictEqual(packets.length, 1);
+  assert.strictEqual(stats.checksumErrors, 1);
+});
+
+test('refuses an unknown checksum', () => {
+  assert.throws(() => new KGripParser({ checksum: "crc" }), /Unknown checksum/);
+});
@@ -0,0 +1,503 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KGripSimulator = require('../kgrip-simulator');
+const { DeviceWatcher } = require('../device-watcher');
+const { MeasurementSession, deviceFilePath } = require('../measurement-session');
+const { NO_DEVICE_FOUND, CALIBRATION_EXPIRED, INVALID_DATA, DEVICE_LOST, TEMP_FILE_ERROR } = require('../error-catalogue');
+const CalibrationRegistry = require('../calibration-registry');
+const { FakeClock } = require('./fake-clock');
+
+const config = {
+  vendorId: "1a86",
+  productId: "7523",
+  trigger: 1.8,
+  ceilWeight: 100,
+  samplingDelay: 2000,
+  timeout: 45000,
+  duration: 5000,
+  // under 8000 the grip is set down: the step loads of the profiles (up to 27 kg) stay above it
+  baseline: 8000,
+  baselineTimeNotSet: 500,
+  baselineTimeSetting: 3000,
+  bigRound: 2,
+  stallTimeout: 1000,
+};
+
+let paths = 0;
+
+/**
+ * setup
+ * A session, its watcher and a simulated grip, all on the same fake clock
+ * @param {Object=} options
+ * @param {Object=} options.device - KGripSimulator.attach options, false for no grip
+ * @param {Object=} options.config - over the test config
+ * @param {Object=} options.session - more MeasurementSession options
+ * @returns {Promise<{ clock, session, device, messages, results, tempFile, teardown }>}
+ */
+async function setup(options = {}) {
+  const clock = new FakeClock();
+  const sessionConfig = { ...config, ...options.config };
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kgrip-session-"));
+  const device = options.device === false ? undefined : KGripSimulator.attach({
+    path: `/dev/ttyKGRIPTEST${paths++}`,
+    serialNumber: `TEST${paths}`,
+    vendorId: config.vendorId,
+    productId: config.productId,
+    clock,
+    ...options.device,
+  });
+  const watcher = new DeviceWatcher({ config: sessionConfig, Port: KGripSimulator, clock, log: () => {} });
+  watcher.start();
+  await watcher.ready;
+  const session = new MeasurementSession({
+    config: sessionConfig,
+    Port: KGripSimulator,
+    clock,
+    log: () => {},
+    watcher,
+    tempFilePath: path.join(dir, "temp.json"),
+    ...options.session,
+  });
+  const messages = [];
+  const results = [];
+  session.on('message', (payload) => messages.push(payload));
+  session.on('result', (record) => results.push(record));
+
+  const tempFile = (deviceId) => JSON.parse(fs.readFileSync(deviceFilePath(path.join(dir, "temp.json"), deviceId), "utf8"));
+
+  const teardown = async () => {
+    session.stop();
+    await clock.tick(1000);
+    watcher.stop();
+    if (device) KGripSimulator.detach(device.path);
+    // temp.json is written with the real fs
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+  return { clock, session, device, messages, results, tempFile, teardown };
+}
+
+const names = (messages) => messages.map((payload) => payload.message).filter((name) => name !== "measure_received");
+const find = (messages, name) => messages.find((payload) => payload.message === name);
+
+test('measureStart: baseline, trigger and measure_finish', async () => {
+  const { clock, session, messages, results, teardown } = await setup();
+  session.start();
+  await clock.tick(12000);
+
+  assert.strictEqual(session.state, "finished");
+  const flow = names(messages).filter((name) => name !== "state_changed");
+  assert.deepStrictEqual(flow, ["device_found", "baseline_ok", "measure_finish"]);
+  assert.strictEqual(find(messages, "baseline_ok").baseline, 30000);
+
+  const finish = find(messages, "measure_finish");
+  assert.strictEqual(finish.max, "32.0");
+  assert.deepStrictEqual(finish.end, { mode: "duration", reason: "duration", t: 5000 });
+  assert.strictEqual(finish.samples[0].t, 0);
+  assert.strictEqual(finish.sampleRate, 100);
+  assert.strictEqual(results.length, 1);
+  assert.strictEqual(results[0].max, 32);
+  assert.strictEqual(results[0].errorCode, null);
+  await teardown();
+});
+
+test('every packet of the measurement is a sample, the results only take the weights over the trigger', async () => {
+  // a dip under the trigger in the middle of the squeeze, then the release
+  const profile = (t) => {
+    if (t >= 4000 && t < 4500) return 25;
+    if (t >= 4500 && t < 4700) return 1;
+    if (t >= 4700 && t < 6000) return 20;
+    return 0;
+  };
+  const { clock, session, messages, teardown } = await setup({ device: { profile } });
+  session.start();
+  await clock.tick(12000);
+
+  const finish = find(messages, "measure_finish");
+  assert.ok(finish.samples.length >= 500);
+  assert.strictEqual(finish.sampleRate, 100);
+  assert.ok(finish.samples.some((sample) => sample.kg === 1));
+  assert.ok(finish.samples.some((sample) => sample.kg === 0));
+  const weights = JSON.parse(finish.rawMeasures);
+  assert.strictEqual(weights.length, 180);
+  assert.ok(weights.every((kg) => kg > config.trigger));
+  assert.strictEqual(finish.max, "25.0");
+  // the grip is released before the end of the window
+  assert.strictEqual(finish.metrics.fatigueIndex, 100);
+  await teardown();
+});
+
+test('config.tempFilePath with one grip, one temp file per grip with several', async () => {
+  assert.strictEqual(deviceFilePath("./temp.json", "A12345"), "temp-A12345.json");
+  assert.strictEqual(deviceFilePath("/data/temp.json", "/dev/ttyUSB0"), "/data/temp-_dev_ttyUSB0.json");
+  assert.strictEqual(deviceFilePath("./temp.json"), "./temp.json");
+
+  // unbound session
+  const { clock, session, tempFile, teardown } = await setup();
+  session.start();
+  await clock.tick(12000);
+  // written with the real fs
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  const content = tempFile();
+  assert.strictEqual(content.deviceId, session.deviceId);
+  assert.strictEqual(content.outputData.weightMax, "32.0");
+  await teardown();
+
+  // bound, one grip plugged in
+  const one = await setup({ device: { serialNumber: "ONE" }, session: { deviceId: "ONE" } });
+  one.session.start();
+  await one.clock.tick(12000);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.strictEqual(one.session.resultsFilePath(), one.session.tempFilePath);
+  assert.strictEqual(one.tempFile().outputData.weightMax, "32.0");
+  await one.teardown();
+
+  // bound, a second grip plugged in
+  const two = await setup({ device: { serialNumber: "LEFT" }, session: { deviceId: "LEFT" } });
+  const other = KGripSimulator.attach({
+    path: "/dev/ttyKGRIPRIGHT",
+    serialNumber: "RIGHT",
+    vendorId: config.vendorId,
+    productId: config.productId,
+    clock: two.clock,
+  });
+  two.session.start();
+  await two.clock.tick(12000);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.strictEqual(two.tempFile("LEFT").outputData.weightMax, "32.0");
+  assert.strictEqual(fs.existsSync(two.session.tempFilePath), false);
+  KGripSimulator.detach(other.path);
+  await two.teardown();
+});
+
+test('a temp.json write failure is logged and reported as TEMP_FILE_ERROR', async () => {
+  const logged = [];
+  const { clock, session, messages, teardown } = await setup({
+    session: { tempFilePath: path.join(os.tmpdir(), "kgrip-missing", "dir", "temp.json"), log: (...args) => logged.push(args) },
+  });
+  session.start();
+  await clock.tick(12000);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  const error = find(messages, "error");
+  assert.strictEqual(error.code, TEMP_FILE_ERROR);
+  assert.strictEqual(error.name, "TEMP_FILE_ERROR");
+  assert.match(error.error, /ENOENT/);
+  assert.ok(logged.some(([level, text]) => level === 1 && text === "Temp file write failed:"));
+  await teardown();
+});
+
+test('measureSamplingOn: a new measurement on the open device', async () => {
+  const profile = (t) => (t % 10000 >= 4000 && t % 10000 < 6000 ? 25 : 0);
+  const { clock, session, messages, teardown } = await setup({ device: { profile } });
+  session.start();
+  await clock.tick(12000);
+  assert.strictEqual(session.state, "finished");
+
+  messages.length = 0;
+  session.startSampling();
+  await clock.tick(12000);
+  assert.strictEqual(session.state, "finished");
+  assert.ok(names(messages).includes("baseline_ok"));
+  assert.strictEqual(find(messages, "measure_finish").max, "25.0");
+  await teardown();
+});
+
+test('measureStart after measureStart: the device is opened again', async () => {
+  const profile = (t) => (t >= 4000 && t < 6000 ? 25 : 0);
+  const { clock, session, device, messages, teardown } = await setup({ device: { profile } });
+  session.start();
+  await clock.tick(12000);
+  assert.strictEqual(session.state, "finished");
+  assert.ok(session.accepts("measureStart"));
+
+  messages.length = 0;
+  session.start();
+  await clock.tick(12000);
+  const flow = names(messages).filter((name) => name !== "state_changed");
+  assert.deepStrictEqual(flow, ["device_found", "baseline_ok", "measure_finish"]);
+  assert.strictEqual(find(messages, "measure_finish").max, "25.0");
+  assert.strictEqual(device.ports.size, 1);
+  await teardown();
+});
+
+test('measureStop: back to idle, the port closed', async () => {
+  const { clock, session, device, teardown } = await setup();
+  session.start();
+  await clock.tick(6000);
+  assert.strictEqual(session.state, "armed");
+  session.stop();
+  await clock.tick(1000);
+  assert.strictEqual(session.state, "idle");
+  assert.strictEqual(device.ports.size, 0);
+  await teardown();
+});
+
+test('no grip plugged in: NO_DEVICE_FOUND after config.timeout', async () => {
+  const { clock, session, messages, results, teardown } = await setup({ device: false, config: { timeout: 3000 } });
+  session.start();
+  await clock.tick(3000);
+  assert.strictEqual(session.state, "idle");
+  assert.strictEqual(find(messages, "error").code, NO_DEVICE_FOUND);
+  assert.strictEqual(results[0].errorCode, NO_DEVICE_FOUND);
+  await teardown();
+});
+
+test('the first coefficient of a grip never calibrated becomes its known-good one', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kgrip-registry-"));
+  const calibrations = new CalibrationRegistry({ filePath: path.join(dir, "registry.json"), log: () => {} });
+  const { clock, session, messages, teardown } = await setup({ session: { calibrations } });
+  session.start();
+  await clock.tick(12000);
+  assert.deepStrictEqual(find(messages, "calibration_warning").reasons, ["not_calibrated"]);
+  const entry = calibrations.get(session.deviceId);
+  assert.strictEqual(entry.coef, session.coef);
+  assert.strictEqual(entry.source, "first_seen");
+  // dated on the session clock (the fake one starts at 0), not the real time
+  assert.ok(Date.parse(entry.date) <= clock.now());
+
+  messages.length = 0;
+  session.start();
+  await clock.tick(12000);
+  assert.strictEqual(find(messages, "calibration_warning"), undefined);
+  assert.ok(find(messages, "measure_finish"));
+  await teardown();
+  await calibrations._writing;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('refuseExpiredCalibration: a first_seen coefficient is not a calibration', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kgrip-registry-"));
+  const calibrations = new CalibrationRegistry({ filePath: path.join(dir, "registry.json"), log: () => {} });
+  const { clock, session, messages, teardown } = await setup({
+    session: { calibrations },
+    config: { refuseExpiredCalibration: true },
+  });
+  session.start();
+  await clock.tick(3000);
+  assert.strictEqual(calibrations.get(session.deviceId).source, "first_seen");
+
+  messages.length = 0;
+  session.start();
+  await clock.tick(3000);
+  assert.deepStrictEqual(find(messages, "calibration_warning").reasons, ["not_calibrated"]);
+  assert.strictEqual(find(messages, "error").code, CALIBRATION_EXPIRED);
+  await teardown();
+  await calibrations._writing;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the reference max of an endurance test is the last max of the same patient and hand', async () => {
+  const { clock, session, messages, teardown } = await setup();
+  session.setMetadata({ patientId: "P1", hand: "right" });
+  session.start();
+  await clock.tick(12000);
+  assert.strictEqual(session.lastMax, 32);
+
+  session.metadata.hand = "left";
+  assert.strictEqual(session.lastMax, undefined);
+  session.metadata.hand = "right";
+
+  messages.length = 0;
+  session.setTest({ mode: "endurance" });
+  session.startSampling();
+  await clock.tick(6000);
+  assert.strictEqual(find(messages, "test_target").referenceMax, 32);
+  session.stop();
+  await clock.tick(1000);
+
+  // measureStart: another patient, the previous maxes are forgotten
+  session.setMetadata({ patientId: "P2", hand: "right" });
+  assert.strictEqual(session.lastMax, undefined);
+  messages.length = 0;
+  session.start();
+  await clock.tick(6000);
+  assert.strictEqual(find(messages, "test_target"), undefined);
+  assert.strictEqual(find(messages, "error").code, INVALID_DATA);
+  await teardown();
+});
+
+test('a light load while armed is reported as a shift, not tared', async () => {
+  const profile = (t) => {
+    if (t >= 6000 && t < 12000) return 0.8;
+    if (t >= 12000 && t < 14000) return 20;
+    return 0;
+  };
+  const { clock, session, messages, teardown } = await setup({ device: { profile } });
+  session.start();
+  await clock.tick(20000);
+  const shift = find(messages, "baseline_shift");
+  assert.strictEqual(shift.baseline, 30000);
+  assert.strictEqual(shift.offset, 0.8);
+  const finish = find(messages, "measure_finish");
+  assert.strictEqual(finish.max, "20.0");
+  assert.strictEqual(finish.baselineStats.shifts, 1);
+  await teardown();
+});
+
+test('a grip set down while armed is re-tared when picked up', async () => {
+  let grip;
+  const profile = (t) => {
+    // set down, picked up again in another position
+    if (t >= 5000 && t < 8000) {
+      grip.restValue = 30400;
+      return null;
+    }
+    if (t >= 13000 && t < 15000) return 20;
+    return 0;
+  };
+  const { clock, session, device, messages, teardown } = await setup({ device: { profile } });
+  grip = device;
+  session.start();
+  await clock.tick(24000);
+  const retare = find(messages, "baseline_retare");
+  assert.strictEqual(retare.previous, 30000);
+  assert.strictEqual(retare.retares, 1);
+  assert.ok(messages.some((m) => m.message === "state_changed" && m.previous === "armed" && m.state === "waiting_baseline"));
+  assert.deepStrictEqual(messages.filter((m) => m.message === "baseline_ok").map((m) => m.baseline), [30000, 30400]);
+  // the set-down did not trigger a measurement
+  const finishes = messages.filter((m) => m.message === "measure_finish");
+  assert.strictEqual(finishes.length, 1);
+  assert.strictEqual(finishes[0].max, "20.0");
+  assert.strictEqual(finishes[0].baselineStats.value, 30400);
+  assert.strictEqual(finishes[0].baselineStats.retares, 1);
+  assert.strictEqual(finishes[0].baselineStats.shifts, 0);
+  await teardown();
+});
+
+/**
+ * calibrate
+ * calibrationStart, zero, one 10 kg point and calibrationConfirm on an open session
+ */
+async function calibrate({ clock, session, device }) {
+  session.startCalibration("OP-7");
+  await clock.tick(3000);
+  KGripSimulator.hang(device.path, 0);
+  session.captureCalibration(0);
+  await clock.tick(2500);
+  KGripSimulator.hang(device.path, 10);
+  session.captureCalibration(10);
+  await clock.tick(2500);
+  KGripSimulator.hang(device.path);
+  session.confirmCalibration();
+  await clock.tick(1000);
+}
+
+test('calibrationConfirm does not write the coefficient by default, the registry applies it', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kgrip-registry-"));
+  const calibrations = new CalibrationRegistry({ filePath: path.join(dir, "registry.json"), log: () => {} });
+  const context = await setup({
+    device: { coefficient: 1250, sensitivity: 1000, noise: 0 },
+    config: { calibrationLogPath: path.join(dir, "calibration.jsonl") },
+    session: { calibrations },
+  });
+  const { clock, session, device, messages, teardown } = context;
+  await calibrate(context);
+
+  const done = find(messages, "calibration_done");
+  assert.strictEqual(done.coef, 0.001);
+  assert.strictEqual(done.written, false);
+  assert.strictEqual(device.coefficient, 1250);
+  assert.strictEqual(calibrations.get(session.deviceId).deviceCoef, 0.00125);
+
+  // opened again: the device still says 0.00125, the calibration is applied
+  session.stop();
+  await clock.tick(1000);
+  messages.length = 0;
+  session.start();
+  await clock.tick(3000);
+  assert.strictEqual(session.coef, 0.001);
+  assert.strictEqual(find(messages, "calibration_warning"), undefined);
+  await teardown();
+  await calibrations._writing;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('config.calibrationWriteCoef writes the coefficient with SetCoef', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kgrip-registry-"));
+  const context = await setup({
+    device: { coefficient: 1250, sensitivity: 1000, noise: 0 },
+    config: { calibrationWriteCoef: true, calibrationLogPath: path.join(dir, "calibration.jsonl") },
+  });
+  await calibrate(context);
+  assert.strictEqual(find(context.messages, "calibration_done").written, true);
+  assert.strictEqual(context.device.coefficient, 1000);
+  await context.teardown();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a stalled stream is a lost device, without config.reconnect the session ends', async () => {
+  const { clock, session, device, messages, results, teardown } = await setup();
+  session.start();
+  await clock.tick(6000);
+  assert.strictEqual(session.state, "armed");
+  KGripSimulator.stall(device.path);
+  await clock.tick(1000);
+
+  const lost = find(messages, "device_lost");
+  assert.strictEqual(lost.reason, "stall");
+  assert.strictEqual(lost.state, "armed");
+  assert.strictEqual(lost.reconnect, false);
+  assert.strictEqual(lost.link.stalls, 1);
+  assert.strictEqual(find(messages, "error").code, DEVICE_LOST);
+  assert.strictEqual(session.state, "idle");
+  assert.strictEqual(results[0].errorCode, DEVICE_LOST);
+  KGripSimulator.stall(device.path, false);
+  await teardown();
+});
+
+test('config.reconnect: a grip unplugged while measuring is searched again, a new baseline is taken', async () => {
+  const context = await setup({ config: { reconnect: true, reconnectTimeout: 10000 } });
+  const { clock, session, device, messages, results, teardown } = context;
+  session.start();
+  // squeezing
+  await clock.tick(6300);
+  assert.strictEqual(session.state, "measuring");
+  KGripSimulator.detach(device.path);
+  await clock.tick(100);
+
+  assert.strictEqual(find(messages, "device_lost").reconnect, true);
+  assert.strictEqual(session.state, "searching");
+  // the measurement in progress is recorded as lost
+  assert.strictEqual(results[0].errorCode, DEVICE_LOST);
+  assert.strictEqual(find(messages, "error"), undefined);
+
+  messages.length = 0;
+  KGripSimulator.attach({ ...device, ports: new Set() });
+  await clock.tick(16000);
+  const flow = names(messages).filter((name) => name !== "state_changed");
+  assert.deepStrictEqual(flow, ["device_reconnected", "baseline_ok", "measure_finish"]);
+  assert.strictEqual(find(messages, "device_found"), undefined);
+  assert.strictEqual(find(messages, "device_reconnected").link.reconnects, 1);
+  assert.strictEqual(find(messages, "measure_finish").max, "32.0");
+  assert.strictEqual(session.state, "finished");
+  await teardown();
+});
+
+test('config.reconnect: finished stays finished, DEVICE_LOST after config.reconnectTimeout', async () => {
+  const context = await setup({ config: { reconnect: true, reconnectTimeout: 5000 } });
+  const { clock, session, device, messages, teardown } = context;
+  session.start();
+  await clock.tick(12000);
+  assert.strictEqual(session.state, "finished");
+
+  KGripSimulator.detach(device.path);
+  await clock.tick(100);
+  assert.strictEqual(find(messages, "device_lost").state, "finished");
+  KGripSimulator.attach({ ...device, ports: new Set() });
+  // next scan, then the coefficient
+  await clock.tick(3500);
+  assert.ok(find(messages, "device_reconnected"));
+  assert.strictEqual(session.state, "finished");
+
+  // gone for good
+  messages.length = 0;
+  KGripSimulator.detach(device.path);
+  await clock.tick(5000);
+  assert.ok(find(messages, "device_lost"));
+  assert.strictEqual(find(messages, "error").code, DEVICE_LOST);
+  assert.strictEqual(session.state, "idle");
+  await teardown();
+});
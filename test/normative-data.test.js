@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { NormativeData, normalCDF } = require('../normative-data');
+
+// made-up reference rows, for the tests only
+const CSV = [
+  "sex,ageMin,ageMax,hand,mean,sd",
+  "male,40,49,dominant,50,8",
+  "male,40,49,nondominant,46,8",
+  "female,40,49,,30,6",
+].join("\n");
+
+const thresholds = { sarcopenia: { male: 27, female: 16 }, weakness: { zScore: -2 } };
+
+const dirs = [];
+test.after(() => dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * table
+ * @param {String} name - file name, its extension tells the format
+ * @param {String} content
+ */
+function table(name, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kgrip-normative-"));
+  dirs.push(dir);
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+test('normal distribution', () => {
+  assert.ok(Math.abs(normalCDF(0) - 0.5) < 1e-7);
+  assert.ok(Math.abs(normalCDF(1.96) - 0.975) < 1e-4);
+  assert.ok(Math.abs(normalCDF(-1) - 0.1587) < 1e-4);
+});
+
+test('scores a max against the dominant hand row', () => {
+  const normative = new NormativeData({ filePath: table("norms.csv", CSV), thresholds });
+  const score = normative.score(42, { age: 45, sex: "M", hand: "right", dominantHand: "right" });
+  assert.strictEqual(score.zScore, -1);
+  assert.strictEqual(score.percentile, 15.9);
+  assert.deepStrictEqual(score.reference, { sex: "male", ageMin: 40, ageMax: 49, hand: "dominant" });
+  assert.deepStrictEqual(score.flags, []);
+});
+
+test('the other hand is nondominant, a missing hand falls back to any', () => {
+  const normative = new NormativeData({ filePath: table("norms.csv", CSV), thresholds });
+  assert.strictEqual(normative.score(46, { age: 45, sex: "male", hand: "left", dominantHand: "right" }).zScore, 0);
+  assert.strictEqual(normative.score(30, { age: 41, sex: "f", hand: "left" }).reference.hand, "any");
+});
+
+test('flags the results under the thresholds', () => {
+  const normative = new NormativeData({ filePath: table("norms.csv", CSV), thresholds });
+  assert.deepStrictEqual(normative.score(15, { age: 45, sex: "female" }).flags, ["sarcopenia", "weakness"]);
+  assert.deepStrictEqual(normative.score(17, { age: 45, sex: "female" }).flags, ["weakness"]);
+});
+
+test('no score without demographics or reference row', () => {
+  const normative = new NormativeData({ filePath: table("norms.csv", CSV), thresholds });
+  assert.strictEqual(normative.score(40, { sex: "male" }), undefined);
+  assert.strictEqual(normative.score(40, { age: 70, sex: "male" }), undefined);
+});
+
+test('reads JSON tables and refuses invalid rows', () => {
+  const rows = [{ sex: "female", ageMin: 20, ageMax: 29, hand: "any", mean: 32, sd: 5 }];
+  const normative = new NormativeData({ filePath: table("norms.json", JSON.stringify(rows)) });
+  assert.strictEqual(normative.score(32, { age: 25, sex: "female" }).percentile, 50);
+  assert.throws(
+    () => new NormativeData({ filePath: table("norms.json", JSON.stringify([{ ...rows[0], sd: 0 }])) }),
+    /invalid row 1/
+  );
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateInput, validateOutput, isCompatible, PROTOCOL_VERSION, PLUGIN_VERSION } = require('../protocol');
+
+test('valid commands pass the input schema', () => {
+  assert.deepStrictEqual(validateInput({ inputData: { cmd: "measureStart", patientId: "P-1", deviceId: ["A", "B"] } }), []);
+});
+
+test('invalid inputData is reported, null included', () => {
+  assert.deepStrictEqual(validateInput({ inputData: null }), ["inputData should be object, found null"]);
+  assert.deepStrictEqual(validateInput({ inputData: {} }), ["inputData should have cmd"]);
+  assert.deepStrictEqual(validateInput(null), ["message should be object, found null"]);
+  assert.deepStrictEqual(validateInput({ inputData: { cmd: "measureStart", end: { mode: "peak" } } }), [
+    "inputData.end.mode should be one of duration, release, decline",
+  ]);
+});
+
+test('outputData is checked against the message schemas', () => {
+  assert.deepStrictEqual(validateOutput({ outputData: { message: "ack", cmd: "hello", state: "idle" } }), []);
+  assert.deepStrictEqual(validateOutput({ outputData: { message: "ack" } }), [
+    "outputData should have cmd",
+    "outputData should have state",
+  ]);
+  assert.deepStrictEqual(validateOutput({ outputData: { message: "unknown" } }), [
+    "outputData.message unknown is not part of the protocol",
+  ]);
+});
+
+test('front-ends of the same major version are compatible', () => {
+  const major = PROTOCOL_VERSION.split(".")[0];
+  assert.ok(isCompatible(`${major}.0`));
+  assert.ok(isCompatible(undefined));
+  assert.ok(!isCompatible(`${Number(major) + 1}.0`));
+});
+
+test('the plugin version is the package.json one', () => {
+  assert.strictEqual(PLUGIN_VERSION, require('../package.json').version);
+});
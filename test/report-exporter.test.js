@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HistoryStore = require('../history-store');
+const { ReportExporter } = require('../report-exporter');
+
+const dirs = [];
+test.after(() => dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * setup
+ * A history in a temporary directory and its exporter
+ * @param {Object=} options - more ReportExporter options
+ */
+function setup(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kgrip-export-"));
+  dirs.push(dir);
+  const history = new HistoryStore({ filePath: path.join(dir, "history.jsonl"), log: () => {} });
+  const exporter = new ReportExporter({ history, dir: path.join(dir, "exports"), ...options });
+  return { dir, history, exporter };
+}
+
+const samples = [
+  { t: 0, raw: 29000, kg: 1.25 },
+  { t: 10, raw: 20000, kg: 12.5 },
+  { t: 20, raw: 30000, kg: 0 },
+];
+
+const measurement = (fields) => ({
+  sessionId: "S1",
+  deviceId: "A12345",
+  patientId: "P1",
+  operatorId: "OP-7",
+  hand: "right",
+  coef: 0.00125,
+  baseline: 30000,
+  baselineStats: { value: 30000, noise: 0.02, drift: 0, shifts: 0, retares: 0 },
+  rawSamples: samples,
+  max: 12.5,
+  avg: 6.9,
+  errorCode: null,
+  ...fields,
+});
+
+test('csv, json and html of a measurement', async () => {
+  const { history, exporter } = setup();
+  const record = await history.append(measurement());
+  const { files } = await exporter.exportSession({ id: record.id });
+  assert.deepStrictEqual(files.map((file) => path.basename(file)), ["csv", "json", "html"].map((format) => (
+    `kgrip-${record.id}-A12345.${format}`
+  )));
+
+  const [csv, json, html] = files.map((file) => fs.readFileSync(file, "utf8"));
+  assert.strictEqual(csv, "t_ms,raw,kg\n0,29000,1.25\n10,20000,12.5\n20,30000,0\n");
+
+  const content = JSON.parse(json);
+  assert.strictEqual(content.session.id, record.id);
+  assert.strictEqual(content.session.deviceId, "A12345");
+  assert.strictEqual(content.device.baseline, 30000);
+  assert.strictEqual(content.results.max, 12.5);
+  assert.strictEqual(content.results.samples, 3);
+  assert.deepStrictEqual(content.samples, samples);
+
+  assert.ok(html.includes("<td>Patient</td><td>P1</td>"));
+  assert.ok(html.includes("Peak: <b>12.5 kg</b>"));
+  assert.ok(html.includes("<svg"));
+});
+
+test('the grips and trials of a session do not overwrite each other', async () => {
+  const { history, exporter } = setup();
+  const left = await history.append(measurement({ deviceId: "L1", hand: "left", protocol: "twice", trial: 1 }));
+  const right = await history.append(measurement({ deviceId: "R/2", protocol: "twice", trial: 1 }));
+  const second = await history.append(measurement({ deviceId: "L1", hand: "left", protocol: "twice", trial: 2, max: 20 }));
+
+  const names = [];
+  for (const record of [left, right, second]) {
+    const { files } = await exporter.exportSession({ id: record.id, format: "json" });
+    names.push(path.basename(files[0]));
+    assert.strictEqual(JSON.parse(fs.readFileSync(files[0], "utf8")).session.id, record.id);
+  }
+  assert.deepStrictEqual(names, [
+    `kgrip-${left.id}-L1-trial1.json`,
+    `kgrip-${right.id}-R_2-trial1.json`,
+    `kgrip-${second.id}-L1-trial2.json`,
+  ]);
+});
+
+test('the last measurement of a device, unsupported formats', async () => {
+  const { history, exporter } = setup();
+  await history.append(measurement({ deviceId: "L1" }));
+  const last = await history.append(measurement({ deviceId: "R1", max: 20 }));
+  await history.append(measurement({ deviceId: "L1", max: 18 }));
+
+  const { record } = await exporter.exportSession({ deviceId: "R1", format: "csv" });
+  assert.strictEqual(record.id, last.id);
+  assert.strictEqual(await exporter.exportSession({ id: "unknown" }), null);
+  assert.deepStrictEqual(exporter.formats(), ["csv", "json", "html"]);
+  await assert.rejects(exporter.exportSession({ format: "pdf" }), /Unsupported export format pdf/);
+});
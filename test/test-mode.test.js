@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveTest, createTest } = require('../test-mode');
+
+const config = { trigger: 1.8 };
+
+test('a max test has nothing to run', () => {
+  const options = resolveTest(config);
+  assert.strictEqual(options.mode, "max");
+  assert.strictEqual(createTest(options, { trigger: 1.8 }), undefined);
+});
+
+test('invalid tests are refused', () => {
+  assert.throws(() => resolveTest(config, { mode: "sprint" }), /Unknown test mode/);
+  assert.throws(() => resolveTest(config, { mode: "endurance", target: 50, tolerance: 60 }), /tolerance/);
+  assert.throws(() => resolveTest(config, { mode: "repeated", reps: 1.5 }), /reps/);
+  assert.throws(() => resolveTest(config, { mode: "endurance", referenceMax: -1 }), /referenceMax/);
+});
+
+test('endurance: target band, hold time and release', () => {
+  const options = resolveTest(config, { mode: "endurance", target: 50, tolerance: 10, releaseTime: 100 });
+  const run = createTest(options, { trigger: 1.8, referenceMax: 40 });
+  assert.deepStrictEqual(run.band, { referenceMax: 40, target: 20, low: 16, high: 24 });
+
+  let end;
+  // 1 s in the band, then released
+  for (let t = 0; t <= 2000 && !end; t += 10) {
+    ({ end } = run.update(t, t <= 1000 ? 20 : 2));
+  }
+  assert.strictEqual(end, "release");
+  const result = run.result();
+  assert.strictEqual(result.holdTime, 1000);
+  assert.strictEqual(result.inBandTime, 1000);
+  assert.strictEqual(result.declineSlope, 0);
+});
+
+test('repeated: cadence cues', () => {
+  const run = createTest(resolveTest(config, { mode: "repeated", reps: 2, work: 1000, rest: 500 }), { trigger: 1.8 });
+  assert.deepStrictEqual(run.timer(), { ms: 3000, reason: "duration" });
+  assert.deepStrictEqual(run.cue(0), { rep: 1, phase: "work", remaining: 1000 });
+  assert.deepStrictEqual(run.cue(1200), { rep: 1, phase: "rest", remaining: 300 });
+  assert.deepStrictEqual(run.cue(1500), { rep: 2, phase: "work", remaining: 1000 });
+});
+
+test('repeated: reps detected on the cadence, then the end', () => {
+  const run = createTest(resolveTest(config, { mode: "repeated", reps: 2, work: 1000, rest: 500 }), { trigger: 1.8 });
+  const peaks = [30, 24];
+  const reps = [];
+  let end;
+  for (let t = 0; t < 3000 && !end; t += 10) {
+    const within = t % 1500;
+    const kg = within < 1000 ? peaks[Math.floor(t / 1500)] : 0;
+    const update = run.update(t, kg);
+    if (update.rep) reps.push(update.rep);
+    end = update.end;
+  }
+  assert.strictEqual(end, "reps");
+  assert.deepStrictEqual(reps.map((rep) => [rep.rep, rep.start, rep.peak, rep.onCadence]), [[1, 0, 30, true], [2, 1500, 24, true]]);
+  assert.deepStrictEqual(run.result().repPeaks, [30, 24]);
+  assert.strictEqual(run.result().declineSlope, -4);
+});
+
+test('repeated: a rep started in the middle of the rest is off cadence', () => {
+  const run = createTest(resolveTest(config, { mode: "repeated", reps: 3, work: 1000, rest: 1000 }), { trigger: 1.8 });
+  run.update(1200, 20);
+  const { rep } = run.update(1400, 0);
+  assert.strictEqual(rep.onCadence, false);
+});
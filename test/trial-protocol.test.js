@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KGripSimulator = require('../kgrip-simulator');
+const DeviceManager = require('../device-manager');
+const ZmqServer = require('../zmq-server');
+const { DeviceWatcher } = require('../device-watcher');
+const { plan, score } = require('../trial-protocol');
+const { COMMAND_NOT_ALLOWED } = require('../error-catalogue');
+const { FakeClock } = require('./fake-clock');
+
+test('scoring rules', () => {
+  const peaks = [30, 34.2, 31];
+  assert.strictEqual(score("max", peaks), 34.2);
+  assert.strictEqual(score("mean", peaks), 31.7);
+  assert.strictEqual(score("meanBest2", peaks), 32.6);
+  assert.strictEqual(score("first", peaks), 30);
+  assert.strictEqual(score("last", peaks), 31);
+  assert.strictEqual(score("max", []), null);
+});
+
+test('trial order, hands in a row or alternated', () => {
+  const hands = ["right", "left"];
+  assert.deepStrictEqual(plan({ trials: 2, hands }).map(({ trial, hand }) => `${hand}${trial}`), ["right1", "right2", "left1", "left2"]);
+  assert.deepStrictEqual(
+    plan({ trials: 2, hands, alternate: true }).map(({ trial, hand }) => `${hand}${trial}`),
+    ["right1", "left1", "right2", "left2"]
+  );
+  assert.deepStrictEqual(plan({}), [{ trial: 1, hand: "right" }]);
+});
+
+const config = {
+  vendorId: "1a86",
+  productId: "7523",
+  socket: { zeromqIp: "127.0.0.1", zeromqPort: 5599 },
+  trigger: 1.8,
+  ceilWeight: 100,
+  samplingDelay: 2000,
+  timeout: 45000,
+  duration: 5000,
+  baseline: 15000,
+  baselineTimeNotSet: 500,
+  baselineTimeSetting: 3000,
+  bigRound: 2,
+  stallTimeout: 1000,
+  protocols: {
+    twice: { trials: 2, hands: ["right"], rest: 3000, scoring: "max" },
+  },
+};
+
+let devices = 0;
+
+/**
+ * setup
+ * The ZeroMQ commands of a server that is never bound, on a simulated grip and a fake clock
+ */
+async function setup() {
+  const clock = new FakeClock();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kgrip-protocol-"));
+  const sessionConfig = { ...config, tempFilePath: path.join(dir, "temp.json") };
+  const device = KGripSimulator.attach({
+    path: `/dev/ttyKGRIPPROTOCOL${devices++}`,
+    serialNumber: `PROTOCOL${devices}`,
+    vendorId: config.vendorId,
+    productId: config.productId,
+    clock,
+  });
+  const watcher = new DeviceWatcher({ config: sessionConfig, Port: KGripSimulator, clock, log: () => {} });
+  watcher.start();
+  const manager = new DeviceManager({ config: sessionConfig, Port: KGripSimulator, clock, log: () => {}, watcher });
+  const server = new ZmqServer({ config: sessionConfig, manager, log: () => {} });
+  const messages = [];
+  server.send = (payload) => messages.push(payload);
+  const command = (cmd, inputData) => server.handleCommand({ inputData: { cmd, deviceId: device.serialNumber, ...inputData } });
+
+  const teardown = async () => {
+    manager.stopAll();
+    await clock.tick(1000);
+    manager.close();
+    server.close();
+    KGripSimulator.detach(device.path);
+    // temp.json is written with the real fs
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+  return { clock, manager, command, messages, teardown };
+}
+
+const named = (messages, name) => messages.filter((payload) => payload.message === name);
+
+test('a protocol runs its trials with a rest countdown, and scores them', async () => {
+  const { clock, command, messages, teardown } = await setup();
+  await command("protocolStart", { protocol: "twice" });
+  await clock.tick(12000);
+  assert.strictEqual(named(messages, "trial_finish").length, 1);
+
+  await clock.tick(15000);
+  assert.deepStrictEqual(named(messages, "protocol_rest").map((payload) => payload.remaining), [3, 2, 1]);
+  assert.deepStrictEqual(named(messages, "trial_start").map((payload) => payload.index), [1, 2]);
+  const [finish] = named(messages, "protocol_finish");
+  assert.deepStrictEqual(finish.trials.map((trial) => trial.max), [32, 32]);
+  assert.strictEqual(finish.score, 32);
+  await teardown();
+});
+
+test('measureStop during the rest aborts the protocol', async () => {
+  const { clock, command, messages, teardown } = await setup();
+  await command("protocolStart", { protocol: "twice" });
+  await clock.tick(12000);
+  await command("measureStop");
+  await clock.tick(5000);
+  assert.strictEqual(named(messages, "protocol_aborted").length, 1);
+  assert.strictEqual(named(messages, "trial_start").length, 1);
+  await teardown();
+});
+
+test('measureSamplingOn and calibrationStart are refused during the rest', async () => {
+  const { clock, command, messages, teardown } = await setup();
+  await command("protocolStart", { protocol: "twice" });
+  await clock.tick(12000);
+  await command("measureSamplingOn", { requestId: "sampling" });
+  await command("calibrationStart", { requestId: "calibration" });
+  const nacks = named(messages, "nack");
+  assert.deepStrictEqual(nacks.map((payload) => [payload.requestId, payload.code]), [
+    ["sampling", COMMAND_NOT_ALLOWED],
+    ["calibration", COMMAND_NOT_ALLOWED],
+  ]);
+
+  // the rest ends and the second trial starts as planned
+  await clock.tick(15000);
+  assert.strictEqual(named(messages, "protocol_finish").length, 1);
+  await teardown();
+});
+
+test('a session started behind the protocol aborts it at the end of the rest', async () => {
+  const { clock, manager, command, messages, teardown } = await setup();
+  await command("protocolStart", { protocol: "twice" });
+  await clock.tick(12000);
+  manager.sessions[0].startSampling();
+  await clock.tick(4000);
+  const [aborted] = named(messages, "protocol_aborted");
+  assert.strictEqual(aborted.code, COMMAND_NOT_ALLOWED);
+  assert.strictEqual(named(messages, "trial_start").length, 1);
+  await teardown();
+});
@@ -0,0 +1,254 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const ZmqServer = require('../zmq-server');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KGripSimulator = require('../kgrip-simulator');
+const DeviceManager = require('../device-manager');
+const { DeviceWatcher } = require('../device-watcher');
+const {
+  ERROR_CATALOGUE_VERSION,
+  NO_DEVICE_FOUND,
+  COMMAND_NOT_ALLOWED,
+  UNKNOWN_COMMAND,
+  INVALID_MESSAGE,
+  UNKNOWN_DEVICE,
+  HISTORY_ERROR,
+  EXPORT_ERROR,
+  UNKNOWN_PROTOCOL,
+  describeError,
+} = require('../error-catalogue');
+const { FakeClock } = require('./fake-clock');
+
+const config = { socket: { zeromqIp: "127.0.0.1", zeromqPort: 5599 }, trigger: 1.8 };
+
+/**
+ * setup
+ * A server that is never bound, its replies collected in sent
+ * @param {Object} exporter
+ */
+function setup(exporter) {
+  const manager = new EventEmitter();
+  manager.state = "idle";
+  manager.emitMessage = (payload) => manager.emit('message', payload);
+  const server = new ZmqServer({ config, manager, exporter, log: () => {} });
+  const sent = [];
+  server.send = (payload) => sent.push(payload);
+  return { server, sent };
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test('exportSession does not hold the next commands', async () => {
+  let done;
+  const exporter = {
+    defaultFormats: ["json"],
+    formats: () => ["json"],
+    find: async () => ({ id: "R1" }),
+    export: () => new Promise((resolve) => { done = resolve; }),
+  };
+  const { server, sent } = setup(exporter);
+  await server.handleCommand({ inputData: { cmd: "exportSession", requestId: "1" } });
+  await server.handleCommand({ inputData: { cmd: "showGauge", requestId: "2" } });
+  await flush();
+  // the export is still running
+  assert.deepStrictEqual(sent.map((payload) => [payload.message, payload.requestId]), [
+    ["ack", "1"],
+    ["ack", "2"],
+    ["show_gauge", "2"],
+  ]);
+
+  done(["exports/kgrip-R1.json"]);
+  await flush();
+  assert.deepStrictEqual(sent[3], { message: "export_done", id: "R1", files: ["exports/kgrip-R1.json"], requestId: "1", sessionId: undefined });
+  server.close();
+});
+
+test('a failed export is answered with a nack', async () => {
+  const exporter = {
+    defaultFormats: ["json"],
+    formats: () => ["json"],
+    find: () => Promise.reject(new Error("history unreadable")),
+  };
+  const { server, sent } = setup(exporter);
+  await server.handleCommand({ inputData: { cmd: "exportSession", requestId: "1" } });
+  await flush();
+  assert.strictEqual(sent[0].message, "nack");
+  assert.strictEqual(sent[0].code, EXPORT_ERROR);
+  assert.strictEqual(sent[0].error, "history unreadable");
+  server.close();
+});
+
+const deviceConfig = {
+  ...config,
+  vendorId: "1a86",
+  productId: "7523",
+  ceilWeight: 100,
+  samplingDelay: 2000,
+  timeout: 45000,
+  duration: 5000,
+  baseline: 15000,
+  baselineTimeNotSet: 500,
+  baselineTimeSetting: 3000,
+  bigRound: 2,
+  stallTimeout: 1000,
+  protocols: { twice: { trials: 2, scoring: "max" } },
+};
+
+/**
+ * setupDevice
+ * The commands of a server that is never bound, on a simulated grip and a fake clock
+ */
+async function setupDevice() {
+  const clock = new FakeClock();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kgrip-zmq-"));
+  const sessionConfig = { ...deviceConfig, tempFilePath: path.join(dir, "temp.json") };
+  const device = KGripSimulator.attach({
+    path: "/dev/ttyKGRIPZMQ",
+    serialNumber: "ZMQ1",
+    vendorId: deviceConfig.vendorId,
+    productId: deviceConfig.productId,
+    clock,
+  });
+  const watcher = new DeviceWatcher({ config: sessionConfig, Port: KGripSimulator, clock, log: () => {} });
+  watcher.start();
+  const manager = new DeviceManager({ config: sessionConfig, Port: KGripSimulator, clock, log: () => {}, watcher });
+  // device_attached is sent before the server is there
+  await watcher.ready;
+  const server = new ZmqServer({ config: sessionConfig, manager, log: () => {} });
+  const sent = [];
+  server.send = (payload) => sent.push(payload);
+  const command = (cmd, inputData) => server.handleCommand({ inputData: { cmd, ...inputData } });
+
+  const teardown = async () => {
+    manager.stopAll();
+    await clock.tick(1000);
+    manager.close();
+    server.close();
+    KGripSimulator.detach(device.path);
+    // temp.json is written with the real fs
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+  return { clock, command, sent, teardown };
+}
+
+test('the sessionId and requestId are echoed on every message of the command', async () => {
+  const { clock, command, sent, teardown } = await setupDevice();
+  await command("measureStart", { requestId: "r1" });
+  await clock.tick(12000);
+  const { sessionId } = sent[0];
+  assert.strictEqual(sent[0].message, "ack");
+  assert.ok(sessionId);
+  const flow = sent.filter((payload) => payload.deviceId === "ZMQ1");
+  assert.ok(flow.some((payload) => payload.message === "measure_finish"));
+  assert.ok(flow.every((payload) => payload.sessionId === sessionId && payload.requestId === "r1"));
+
+  // the session keeps its id, the next command brings its own requestId
+  sent.length = 0;
+  await command("measureSamplingOn", { requestId: "r2" });
+  await clock.tick(12000);
+  assert.ok(sent.some((payload) => payload.message === "measure_finish"));
+  assert.ok(sent.every((payload) => payload.sessionId === sessionId && payload.requestId === "r2"));
+
+  // a new measurement, the POD chooses the id
+  sent.length = 0;
+  await command("measureStart", { requestId: "r3", sessionId: "S-POD" });
+  await command("showGauge", { requestId: "r4" });
+  await clock.tick(1000);
+  const started = sent.filter((payload) => payload.deviceId === "ZMQ1");
+  assert.strictEqual(started[0].message, "ack");
+  assert.ok(started.every((payload) => payload.sessionId === "S-POD" && payload.requestId === "r3"));
+  const gauge = sent.find((payload) => payload.message === "show_gauge");
+  assert.deepStrictEqual([gauge.sessionId, gauge.requestId], [undefined, "r4"]);
+  await teardown();
+});
+
+test('refused commands are answered with a nack and the catalogue code', async () => {
+  const { clock, command, sent, teardown } = await setupDevice();
+  const nack = async (inputData) => {
+    sent.length = 0;
+    await (inputData === undefined ? command() : command(inputData.cmd, inputData));
+    const replies = sent.filter((payload) => payload.message === "nack");
+    assert.strictEqual(replies.length, 1, JSON.stringify(sent));
+    return replies[0];
+  };
+
+  assert.strictEqual((await nack({ cmd: "dance", requestId: "n1" })).code, UNKNOWN_COMMAND);
+  const invalid = await nack({ cmd: "measureStart", deviceId: 12 });
+  assert.strictEqual(invalid.code, INVALID_MESSAGE);
+  assert.strictEqual(invalid.cmd, "measureStart");
+  assert.strictEqual((await nack({ cmd: "protocolStart", protocol: "none" })).code, UNKNOWN_PROTOCOL);
+  assert.strictEqual((await nack({ cmd: "historyList" })).code, HISTORY_ERROR);
+  assert.strictEqual((await nack({ cmd: "exportSession" })).code, EXPORT_ERROR);
+
+  const unknown = await nack({ cmd: "measureStart", deviceId: "BOGUS", requestId: "n2" });
+  assert.deepStrictEqual(
+    [unknown.code, unknown.deviceId, unknown.requestId, unknown.error],
+    [UNKNOWN_DEVICE, "BOGUS", "n2", "Unknown device BOGUS"]
+  );
+
+  // the guard of the device state
+  await command("measureStart", { deviceId: "ZMQ1" });
+  await clock.tick(3000);
+  const refused = await nack({ cmd: "measureSamplingOn", deviceId: "ZMQ1", requestId: "n3" });
+  assert.deepStrictEqual(
+    [refused.code, refused.deviceId, refused.state, refused.requestId],
+    [COMMAND_NOT_ALLOWED, "ZMQ1", "waiting_baseline", "n3"]
+  );
+  await teardown();
+});
+
+test('invalid messages, null included, are answered with INVALID_MESSAGE', async () => {
+  const { server, sent } = setup({});
+  await server.handleCommand(null);
+  await server.handleCommand({ inputData: null });
+  await server.handleCommand({ inputData: { requestId: "x" } });
+  assert.deepStrictEqual(sent.map((payload) => [payload.message, payload.code, payload.requestId]), [
+    ["nack", INVALID_MESSAGE, undefined],
+    ["nack", INVALID_MESSAGE, undefined],
+    ["nack", INVALID_MESSAGE, "x"],
+  ]);
+  server.close();
+});
+
+test('session errors carry the catalogue name and version', async () => {
+  const { clock, command, sent, teardown } = await setupDevice();
+  KGripSimulator.detach("/dev/ttyKGRIPZMQ");
+  await clock.tick(1000);
+  await command("measureStart", { requestId: "e1" });
+  await clock.tick(45000);
+  const error = sent.find((payload) => payload.message === "error");
+  assert.deepStrictEqual(
+    [error.code, error.name, error.error, error.catalogueVersion, error.requestId],
+    [NO_DEVICE_FOUND, "NO_DEVICE_FOUND", "No device Found", ERROR_CATALOGUE_VERSION, "e1"]
+  );
+  assert.deepStrictEqual(describeError(99, "custom"), { code: 99, name: "UNCATALOGUED", message: "custom" });
+  await teardown();
+});
+
+test('with several grips plugged in, a calibration command must name its grip', async () => {
+  const { server, sent } = setup({});
+  server.manager.attachedInfo = () => [{ deviceId: "A" }, { deviceId: "B" }];
+  await server.handleCommand({ inputData: { cmd: "calibrationStart", requestId: "c1" } });
+  await server.handleCommand({ inputData: { cmd: "calibrationZero", deviceId: "all" } });
+  await server.handleCommand({ inputData: { cmd: "calibrationConfirm", deviceId: ["A", "B"] } });
+  assert.deepStrictEqual(sent.map((payload) => [payload.message, payload.cmd, payload.code]), [
+    ["nack", "calibrationStart", INVALID_MESSAGE],
+    ["nack", "calibrationZero", INVALID_MESSAGE],
+    ["nack", "calibrationConfirm", INVALID_MESSAGE],
+  ]);
+  assert.strictEqual(sent[0].requestId, "c1");
+  server.close();
+});
+
+test('with one grip plugged in, a calibration command without deviceId is its one', async () => {
+  const { clock, command, sent, teardown } = await setupDevice();
+  await command("calibrationStart", { requestId: "c2" });
+  await clock.tick(3000);
+  assert.deepStrictEqual([sent[0].message, sent[0].deviceId], ["ack", "ZMQ1"]);
+  assert.ok(sent.some((payload) => payload.message === "calibration_started"));
+  await teardown();
+});
@@ -0,0 +1,240 @@
+const { log: defaultLog } = require('./logger');
+const { IDLE, MEASURING, FINISHED } = require('./measurement-state');
+const { COMMAND_NOT_ALLOWED } = require('./error-catalogue');
+
+/**
+ * Scoring rules of a protocol, applied to the trial peaks
+ *
+ * max       --> best trial
+ * mean      --> mean of every trial
+ * meanBest2 --> mean of the two best trials
+ * first     --> first trial
+ * last      --> last trial
+ */
+const scoringRules = {
+  max: (values) => Math.max(...values),
+  mean: (values) => mean(values),
+  meanBest2: (values) => mean([...values].sort((a, b) => b - a).slice(0, 2)),
+  first: (values) => values[0],
+  last: (values) => values[values.length - 1],
+};
+
+/**
+ * mean
+ * @param {number[]} values
+ */
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * score
+ * @param {String} rule - see scoringRules
+ * @param {number[]} values
+ */
+function score(rule, values) {
+  if (!values.length) return null;
+  return Number(scoringRules[rule](values).toFixed(1));
+}
+
+/**
+ * plan
+ * Trial order of a protocol definition
+ * @param {Object} definition - config.protocols entry
+ * @returns {{ trial: number, hand: String }[]} trial is the number of the trial for that hand
+ */
+function plan(definition) {
+  const trials = definition.trials || 1;
+  const hands = definition.hands || ["right"];
+  const order = [];
+  if (definition.alternate) {
+    for (let trial = 1; trial <= trials; trial++) hands.forEach((hand) => order.push({ trial, hand }));
+  } else {
+    hands.forEach((hand) => {
+      for (let trial = 1; trial <= trials; trial++) order.push({ trial, hand });
+    });
+  }
+  return order;
+}
+
+/**
+ * TrialProtocol
+ * Runs a whole dynamometry protocol (e.g. 3 trials per hand, 60 s rest) on
+ * one MeasurementSession: the first trial is a measureStart, the next ones a
+ * measureSamplingOn once the rest is over. The session goes back to idle on
+ * error or measureStop, which aborts the protocol.
+ *
+ * Messages: trial_start, trial_finish, protocol_rest (every second of the rest),
+ * protocol_finish with the scores, protocol_aborted.
+ *
+ * @param {Object} options
+ * @param {String} options.name - key of config.protocols
+ * @param {Object} options.definition - { trials, hands, alternate, rest, scoring }
+ * @param {MeasurementSession} options.session
+ * @param {Function=} options.log
+ */
+class TrialProtocol {
+  constructor(options = {}) {
+    this.name = options.name;
+    this.definition = options.definition;
+    this.session = options.session;
+    this.log = options.log || defaultLog;
+    this.scoring = this.definition.scoring || "max";
+    this.order = plan(this.definition);
+    this.index = -1;
+    this.results = [];
+    this.pending = undefined;
+
+    this.onResult = (record) => { this.pending = record; };
+    this.onTransition = (state, previous) => {
+      // finished is also where a reconnected device resumes
+      if (state === FINISHED && previous === MEASURING) this.trialFinished();
+      else if (state === IDLE) this.abort();
+    };
+  }
+
+  get current() {
+    return this.order[this.index];
+  }
+
+  /**
+   * start
+   * First trial, the session must be idle
+   */
+  start() {
+    const { session } = this;
+    session.on('result', this.onResult);
+    session.fsm.on('transition', this.onTransition);
+    this.log(3, `Protocol ${this.name}: ${this.order.length} trials, scoring ${this.scoring}`);
+    this.next();
+  }
+
+  /**
+   * next
+   */
+  next() {
+    const { session } = this;
+    // something else started on the session during the rest
+    if (!session.fsm.is(IDLE, FINISHED) && !session.reconnecting) {
+      this.log(1, `Protocol ${this.name}: the session is ${session.state}, the next trial cannot start`);
+      return this.abort(COMMAND_NOT_ALLOWED);
+    }
+    this.index++;
+    const { trial, hand } = this.current;
+    Object.assign(session.metadata, { protocol: this.name, hand, trial });
+    session.emitMessage({
+      message: "trial_start",
+      protocol: this.name,
+      trial,
+      hand,
+      index: this.index + 1,
+      trials: this.order.length,
+    });
+    if (session.fsm.is(IDLE)) session.start();
+    // the device was lost during the rest: sampling starts once it is back
+    else if (session.reconnecting) session.resumeState = undefined;
+    else session.startSampling();
+  }
+
+  /**
+   * trialFinished
+   * The session is finished: stores the trial, rests or ends the protocol
+   */
+  trialFinished() {
+    const { session } = this;
+    const record = this.pending || {};
+    this.pending = undefined;
+    const result = {
+      trial: this.current.trial,
+      hand: this.current.hand,
+      max: record.max,
+      avg: record.avg,
+      metrics: record.metrics,
+      normative: record.normative,
+    };
+    this.results.push(result);
+    session.emitMessage({ message: "trial_finish", protocol: this.name, index: this.index + 1, ...result });
+
+    if (this.index + 1 >= this.order.length) return this.finish();
+    this.rest();
+  }
+
+  /**
+   * rest
+   * Countdown to the next trial, one protocol_rest per second
+   */
+  rest() {
+    const { session } = this;
+    const next = this.order[this.index + 1];
+    let remaining = Math.ceil((this.definition.rest || 0) / 1000);
+    const tick = () => {
+      if (remaining <= 0) {
+        session.clearTimer("protocolRest");
+        return this.next();
+      }
+      session.emitMessage({ message: "protocol_rest", protocol: this.name, remaining, next });
+      remaining--;
+    };
+    session.setTimer("protocolRest", tick, 1000, true);
+    tick();
+  }
+
+  /**
+   * scores
+   * score per hand and over every trial
+   */
+  scores() {
+    const peaks = (results) => results.map((result) => result.max).filter((max) => typeof max === "number");
+    const hands = {};
+    [...new Set(this.order.map(({ hand }) => hand))].forEach((hand) => {
+      hands[hand] = score(this.scoring, peaks(this.results.filter((result) => result.hand === hand)));
+    });
+    return { hands, score: score(this.scoring, peaks(this.results)) };
+  }
+
+  /**
+   * finish
+   */
+  finish() {
+    const { hands, score } = this.scores();
+    this.detach();
+    this.log(3, `Protocol ${this.name} finished, score:`, score);
+    this.session.emitMessage({
+      message: "protocol_finish",
+      protocol: this.name,
+      scoring: this.scoring,
+      trials: this.results,
+      scores: hands,
+      score,
+    });
+  }
+
+  /**
+   * abort
+   * The session went back to idle (error, timeout or measureStop)
+   * @param {number=} code - error catalogue code, the one of the last result by default
+   */
+  abort(code) {
+    const record = this.pending;
+    this.detach();
+    this.log(2, `Protocol ${this.name} aborted at trial ${this.index + 1}`);
+    this.session.emitMessage({
+      message: "protocol_aborted",
+      protocol: this.name,
+      index: this.index + 1,
+      trials: this.results,
+      code: code || (record && record.errorCode ? record.errorCode : undefined),
+    });
+  }
+
+  detach() {
+    const { session } = this;
+    ["protocol", "hand", "trial"].forEach((field) => delete session.metadata[field]);
+    session.clearTimer("protocolRest");
+    session.removeListener('result', this.onResult);
+    session.fsm.removeListener('transition', this.onTransition);
+    if (session.protocol === this) session.protocol = undefined;
+  }
+}
+
+module.exports = { TrialProtocol, scoringRules, plan, score };
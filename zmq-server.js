@@ -0,0 +1,544 @@
+const zeromq = require('zeromq');
+const JobQueue = require('./queue');
+const { log: defaultLog } = require('./logger');
+const { commandGuards } = require('./measurement-state');
+const { TrialProtocol, scoringRules } = require('./trial-protocol');
+const { coefDigits } = require('./calibration');
+const { resolveEnd } = require('./end-condition');
+const { resolveTest } = require('./test-mode');
+const {
+  ERROR_CATALOGUE_VERSION,
+  COMMAND_NOT_ALLOWED,
+  UNKNOWN_COMMAND,
+  INVALID_MESSAGE,
+  UNKNOWN_DEVICE,
+  RECORD_NOT_FOUND,
+  HISTORY_ERROR,
+  EXPORT_ERROR,
+  UNKNOWN_PROTOCOL,
+  CALIBRATION_ERROR,
+} = require('./error-catalogue');
+const {
+  PROTOCOL_VERSION,
+  PLUGIN_VERSION,
+  COMMANDS,
+  validateInput,
+  validateOutput,
+  isCompatible,
+} = require('./protocol');
+
+// Commands refused while a protocol runs on the session (measureStart aborts it)
+const protocolBusy = ["protocolStart", "measureSamplingOn", "calibrationStart"];
+
+/**
+ * ZmqServer
+ * ZeroMQ plugin protocol: binds a dealer on config.socket, turns the
+ * inputData commands from the POD into MeasurementSession calls and forwards
+ * every session message to the POD as outputData.
+ *
+ * Every command is answered with an ack (or a nack with the reason), one per
+ * targeted device. The optional inputData.requestId / sessionId are echoed on
+ * the replies and on every message produced for that session, inputData.deviceId
+ * targets one device, a list of devices or "all" of them (the default).
+ *
+ * @param {Object} options
+ * @param {Object} options.config - config.json content
+ * @param {DeviceManager} options.manager
+ * @param {HistoryStore=} options.history - measurement history, for the history commands
+ * @param {ReportExporter=} options.exporter - for the exportSession command
+ * @param {CalibrationRegistry=} options.calibrations - for the calibrationStatus command
+ * @param {Function=} options.log - log(level, ...args)
+ */
+class ZmqServer {
+  constructor(options = {}) {
+    this.config = options.config;
+    this.manager = options.manager;
+    this.history = options.history;
+    this.exporter = options.exporter;
+    this.calibrations = options.calibrations;
+    this.log = options.log || defaultLog;
+    this.endpoint = "tcp://" + this.config.socket.zeromqIp + ":" + this.config.socket.zeromqPort;
+    this.dealer = new zeromq.Dealer();
+
+    // Queue definition
+    this.queue = new JobQueue({ concurrency: 1, retryDelay:0, timeout: 1 });
+    this._initQueue();
+
+    this.manager.on('message', (payload) => this.send(payload));
+  }
+
+  _initQueue() {
+    const { queue, log } = this;
+
+    // Listen to events
+    queue.on('job:added', (job) => {
+      log(4,`a Job added: ${job.id} (${job.type})`);
+    });
+    queue.on('job:start', (job) => {
+      log(4,`p Processing: ${job.id} (attempt ${job.attempts})`);
+    });
+    queue.on('job:completed', (job, result) => {
+      log(4,`c Completed: ${job.id} - Result: ${result}`);
+    });
+    queue.on('job:failed', (job, error) => {
+      log(4,`x Failed: ${job.id} - ${error.message}`);
+    });
+    queue.on('job:retry', (job) => {
+      log(4,`r Retrying: ${job.id} (attempt ${job.attempts})`);
+    });
+    queue.process('zeromqSendMessage',
+      // Your async work here
+      async (data) => {
+        await new Promise((resolve, reject) => {
+          // Call the async operation and resolve/reject when it finishes
+          this.dealer.send(data.message)
+            .then(() => { // success -> resolve the outer promise
+              log(4, `---> Sent message ${data.message}`)
+              return resolve;
+            })
+            .catch(reject);         // error   -> reject  the outer promise
+        });
+        return `Sent message ${data.message}`;
+      }
+      );
+  }
+
+  /**
+   * start
+   * dealer zeroMq bind
+   */
+  async start() {
+    const { log } = this;
+    try {
+      await this.dealer.bind(this.endpoint);
+      log(3, "ZeroMQ bind on endpoint:", this.endpoint);
+      this.listen();
+    } catch (error) {
+      log(1, "ZeroMQ socket problem: " + error);
+    }
+  }
+
+  /**
+   * listen
+   * dealer zeroMq listener msg from POD
+   */
+  async listen() {
+    const { log } = this;
+    for await (const [msg] of this.dealer) {
+      let message;
+      try {
+        message = JSON.parse(msg.toString());
+      } catch (err) {
+        log(1, "Invalid ZMQ message:", err);
+        this.reject(undefined, INVALID_MESSAGE, `Invalid JSON: ${err.message}`);
+        continue;
+      }
+
+      log(3, "ZMQ messagge received: ", message);
+
+      try {
+        await this.handleCommand(message);
+      } catch (err) {
+        log(1, "Error handling ZMQ message:", err);
+      }
+    }
+  }
+
+  /**
+   * handleCommand
+   * @param {*} message - { inputData: { cmd, requestId, sessionId, deviceId } }
+   */
+  async handleCommand(message) {
+    const { manager, log } = this;
+
+    const errors = validateInput(message);
+    if (errors.length) {
+      log(2, "Invalid ZMQ message:", errors.join(", "));
+      // typeof null is "object" too: { "inputData": null } is answered as if it had no inputData
+      const { inputData } = message || {};
+      return this.reject(inputData && typeof inputData === "object" ? inputData : {}, INVALID_MESSAGE, errors.join(", "));
+    }
+
+    const inputData = message.inputData;
+    const { cmd, requestId, deviceId } = inputData;
+    let { sessionId } = inputData;
+    if (!commandGuards[cmd]) {
+      log(2, "Command rejected: Unknown command", cmd);
+      return this.reject(inputData, UNKNOWN_COMMAND, `Unknown command ${cmd}`);
+    }
+
+    // A new measurement opens a new session, the POD may choose its id
+    if ((cmd === "measureStart" || cmd === "protocolStart") && !sessionId) sessionId = generateId();
+
+    let definition;
+    if (cmd === "protocolStart") {
+      definition = (this.config.protocols || {})[inputData.protocol];
+      if (!definition) return this.reject(inputData, UNKNOWN_PROTOCOL, `Unknown protocol ${inputData.protocol}`);
+      if (!scoringRules[definition.scoring || "max"]) {
+        return this.reject(inputData, UNKNOWN_PROTOCOL, `Unknown scoring ${definition.scoring} in protocol ${inputData.protocol}`);
+      }
+    }
+
+    // inputData.end over config.end, or over the end of the protocol
+    const end = inputData.end || (definition && definition.end);
+    // inputData.test over config.testModes, or over the test of the protocol
+    const test = inputData.test || (definition && definition.test);
+    let resolvedTest;
+    try {
+      if (end) resolveEnd(this.config, end);
+      if (test) resolvedTest = resolveTest(this.config, test);
+    } catch (err) {
+      return this.reject(inputData, INVALID_MESSAGE, err.message);
+    }
+
+    if (cmd.startsWith("history")) return this.handleHistory(inputData);
+    // a report may take seconds (PDF): the receive loop does not wait for it, export_done or the nack come later
+    if (cmd === "exportSession") {
+      this.handleExport(inputData).catch((err) => {
+        log(1, "Export failed:", err);
+        this.reject(inputData, EXPORT_ERROR, err.message);
+      });
+      return undefined;
+    }
+
+    // gauge and info commands do not belong to a device
+    if (["showGauge", "hideGauge", "hello", "getInfo", "calibrationStatus"].includes(cmd)) {
+      const ids = { sessionId, requestId };
+      manager.emitMessage({ message: "ack", cmd, state: manager.state, ...ids });
+      switch (cmd) {
+        case "showGauge":
+          manager.emitMessage({ message: "show_gauge", ...ids });
+          break;
+
+        case "hideGauge":
+          manager.emitMessage({ message: "hide_gauge", ...ids });
+          break;
+
+        case "hello":
+        case "getInfo":
+          manager.emitMessage({ ...this.info(inputData.protocolVersion), ...ids });
+          break;
+
+        case "calibrationStatus": {
+          const devices = this.calibrations ? this.calibrations.list() : [];
+          const wanted = [].concat(deviceId || []).filter((id) => id !== "all");
+          manager.emitMessage({
+            message: "calibration_status",
+            intervalDays: this.calibrations ? this.calibrations.intervalDays : 0,
+            devices: wanted.length ? devices.filter((device) => wanted.includes(device.deviceId)) : devices,
+            ...ids,
+          });
+          break;
+        }
+      }
+      return;
+    }
+
+    // a calibration is of one grip: with several plugged in, the command must name it
+    const oneDevice = deviceId !== undefined && deviceId !== "all" && [].concat(deviceId).length === 1;
+    if (cmd.startsWith("calibration") && !oneDevice && manager.attachedInfo().length > 1) {
+      const error = `${cmd} needs the deviceId of the grip to calibrate, several grips are plugged in`;
+      log(2, "Command rejected:", error);
+      return this.reject(inputData, INVALID_MESSAGE, error);
+    }
+
+    const { sessions, unknown } = await manager.resolve(cmd, deviceId);
+    unknown.forEach((id) => {
+      log(2, "Command rejected: Unknown device", id);
+      this.reject({ ...inputData, deviceId: id }, UNKNOWN_DEVICE, `Unknown device ${id}`);
+    });
+
+    sessions.forEach((session) => {
+      // Guard: every command is valid only in some states of the measurement lifecycle
+      if (!session.accepts(cmd)) {
+        const error = `${cmd} not allowed in state ${session.state}`;
+        log(2, "Command rejected:", error);
+        return this.reject(inputData, COMMAND_NOT_ALLOWED, error, session);
+      }
+
+      const problem = this.checkCalibration(inputData, session);
+      if (problem) {
+        log(2, "Command rejected:", problem);
+        return this.reject(inputData, CALIBRATION_ERROR, problem, session);
+      }
+
+      // measureStart and protocolStart forget the previous maxes
+      const previousMax = cmd === "measureSamplingOn" ? session.lastMax : undefined;
+      // the protocol starts the next trial itself once the rest is over
+      if (session.protocol && protocolBusy.includes(cmd)) {
+        const error = `${cmd} not allowed while the protocol ${session.protocol.name} runs, measureStop or measureStart first`;
+        log(2, "Command rejected:", error);
+        return this.reject(inputData, COMMAND_NOT_ALLOWED, error, session);
+      }
+
+      if (resolvedTest && resolvedTest.mode === "endurance" && !resolvedTest.referenceMax && !previousMax) {
+        const error = "Endurance test needs a referenceMax or a previous max test";
+        log(2, "Command rejected:", error);
+        return this.reject(inputData, INVALID_MESSAGE, error, session);
+      }
+
+      session.correlate({ sessionId, requestId });
+      session.emitMessage({ message: "ack", cmd, state: session.state });
+
+      switch (cmd) {
+        case "measureStart":
+          session.setMetadata(inputData);
+          session.setEnd(end);
+          session.setTest(test);
+          session.start();
+          break;
+
+        case "protocolStart":
+          session.setMetadata(inputData);
+          session.setEnd(end);
+          session.setTest(test);
+          session.protocol = new TrialProtocol({ name: inputData.protocol, definition, session, log });
+          session.protocol.start();
+          break;
+
+        case "measureSamplingOn":
+          // without inputData.end / test the session keeps its end and test
+          if (end) session.setEnd(end);
+          if (test) session.setTest(test);
+          session.startSampling();
+          break;
+
+        case "calibrationStart":
+          session.startCalibration(inputData.operatorId);
+          break;
+
+        case "calibrationZero":
+          session.captureCalibration(0);
+          break;
+
+        case "calibrationPoint":
+          session.captureCalibration(inputData.mass);
+          break;
+
+        case "calibrationConfirm":
+          session.confirmCalibration(inputData.operatorId);
+          break;
+
+        case "calibrationCancel":
+          session.cancelCalibration();
+          break;
+
+        case "measureStop":
+        case "appHide":
+        case "appShow":
+          session.stop();
+          break;
+      }
+    });
+
+    const ids = { sessionId: sessionId || (sessions[0] && sessions[0].sessionId), requestId };
+    // no device to talk to, the command is still acknowledged
+    if (!sessions.length && !unknown.length) {
+      manager.emitMessage({ message: "ack", cmd, state: manager.state, ...ids });
+    }
+
+    // the window is one, whatever the number of devices
+    switch (cmd) {
+      case "measureStop":
+      case "appHide":
+        manager.emitMessage({ message: "app_hide", ...ids });
+        break;
+
+      case "appShow":
+        manager.emitMessage({ message: "app_show", ...ids });
+        break;
+    }
+  }
+
+  /**
+   * checkCalibration
+   * Calibration commands the session cannot run now
+   * @param {Object} inputData
+   * @param {MeasurementSession} session
+   * @returns {String|undefined} the problem
+   */
+  checkCalibration(inputData, session) {
+    const { cmd, mass } = inputData;
+    const { calibration } = session;
+    switch (cmd) {
+      case "calibrationZero":
+      case "calibrationPoint":
+        if (calibration.capturing) return "A calibration capture is already running";
+        if (cmd === "calibrationPoint" && !(mass > 0)) return "calibrationPoint needs the reference mass in kg";
+        break;
+
+      case "calibrationConfirm":
+        if (!calibration.result) return "No coefficient fitted, capture the zero and at least one reference mass";
+        // the SetCoef payload only holds 6 digits
+        if (this.config.calibrationWriteCoef && !coefDigits(calibration.result.coef)) {
+          return `Coefficient ${calibration.result.coef} out of range`;
+        }
+        break;
+    }
+  }
+
+  /**
+   * handleHistory
+   * historyList / historyGet / historyDelete
+   * @param {Object} inputData
+   */
+  async handleHistory(inputData) {
+    const { manager, history, log } = this;
+    const { cmd, requestId, sessionId } = inputData;
+    const ids = { requestId, sessionId };
+    if (!history) return this.reject(inputData, HISTORY_ERROR, "Measurement history is not enabled");
+
+    switch (cmd) {
+      case "historyList": {
+        const { patientId, operatorId, deviceId, from, to, limit } = inputData;
+        manager.emitMessage({ message: "ack", cmd, state: manager.state, ...ids });
+        manager.emitMessage({
+          message: "history_list",
+          sessions: history.list({ patientId, operatorId, deviceId, from, to, limit }),
+          ...ids,
+        });
+        break;
+      }
+
+      case "historyGet": {
+        const record = inputData.id !== undefined && await history.get(String(inputData.id));
+        if (!record) return this.reject(inputData, RECORD_NOT_FOUND, `No measurement ${inputData.id}`);
+        manager.emitMessage({ message: "ack", cmd, state: manager.state, ...ids });
+        manager.emitMessage({ message: "history_session", session: record, ...ids });
+        break;
+      }
+
+      case "historyDelete": {
+        const { id, patientId, operatorId } = inputData;
+        if (id === undefined && patientId === undefined && operatorId === undefined) {
+          return this.reject(inputData, INVALID_MESSAGE, "historyDelete needs id, patientId or operatorId");
+        }
+        manager.emitMessage({ message: "ack", cmd, state: manager.state, ...ids });
+        try {
+          const deleted = await history.delete({ id: id === undefined ? undefined : String(id), patientId, operatorId });
+          manager.emitMessage({ message: "history_deleted", deleted, ...ids });
+        } catch (err) {
+          log(1, "History delete failed:", err);
+          this.reject(inputData, HISTORY_ERROR, err.message);
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * handleExport
+   * exportSession: writes a measurement of the history to CSV / JSON / HTML / PDF
+   * @param {Object} inputData - id (record id or sessionId, the last measurement when omitted),
+   * deviceId, format
+   */
+  async handleExport(inputData) {
+    const { manager, exporter, log } = this;
+    const { cmd, requestId, sessionId, id, deviceId, format } = inputData;
+    const ids = { requestId, sessionId };
+    if (!exporter) return this.reject(inputData, EXPORT_ERROR, "Export is not enabled");
+
+    const unsupported = [].concat(format || []).filter((f) => !exporter.formats().includes(f));
+    if (unsupported.length) {
+      return this.reject(inputData, INVALID_MESSAGE, `Unsupported export format ${unsupported.join(", ")}`);
+    }
+
+    const record = await exporter.find({
+      id,
+      deviceId: typeof deviceId === "string" && deviceId !== "all" ? deviceId : undefined,
+    });
+    if (!record) return this.reject(inputData, RECORD_NOT_FOUND, `No measurement ${id === undefined ? "to export" : id}`);
+
+    manager.emitMessage({ message: "ack", cmd, state: manager.state, ...ids });
+    try {
+      const files = await exporter.export(record, format || exporter.defaultFormats);
+      manager.emitMessage({ message: "export_done", id: record.id, files, ...ids });
+    } catch (err) {
+      log(1, "Export failed:", err);
+      this.reject(inputData, EXPORT_ERROR, err.message);
+    }
+  }
+
+  /**
+   * reject
+   * nack for a command that cannot be executed
+   * @param {Object=} inputData
+   * @param {number} code - from the error catalogue
+   * @param {String} error
+   * @param {MeasurementSession=} session - the device that refused it
+   */
+  reject(inputData = {}, code, error, session) {
+    const target = session || this.manager;
+    target.emitMessage({
+      message: "nack",
+      cmd: typeof inputData.cmd === "string" ? inputData.cmd : undefined,
+      state: target.state,
+      code,
+      error,
+      sessionId: inputData.sessionId || (session && session.sessionId),
+      requestId: inputData.requestId,
+      ...(session ? {} : { deviceId: typeof inputData.deviceId === "string" ? inputData.deviceId : undefined }),
+    });
+  }
+
+  /**
+   * info
+   * Reply to hello / getInfo, lets the front-ends adapt to the plugin build
+   * @param {String=} protocolVersion - version announced by the front-end
+   */
+  info(protocolVersion) {
+    const { manager } = this;
+    const devices = manager.devicesInfo();
+    return {
+      message: "info",
+      pluginVersion: PLUGIN_VERSION,
+      protocolVersion: PROTOCOL_VERSION,
+      compatible: isCompatible(protocolVersion),
+      catalogueVersion: ERROR_CATALOGUE_VERSION,
+      commands: COMMANDS,
+      state: manager.state,
+      device: devices[0] || { connected: false },
+      devices,
+      attached: manager.attachedInfo(),
+    };
+  }
+
+  /**
+   * send
+   * outputData to the POD, validated against the protocol schema
+   * @param {*} payload
+   */
+  send(payload) {
+    const message = { outputData: payload };
+    const errors = validateOutput(message);
+    if (errors.length) this.log(1, "Invalid outputData", payload.message, errors.join(", "));
+    this.zeromqSendMessage(JSON.stringify(message));
+  }
+
+  /**
+   * close
+   * unbinds the dealer, pending messages are dropped
+   */
+  close() {
+    this.queue.clear();
+    this.dealer.close();
+  }
+
+  /**
+   * zeromqSendMessage
+   * @param {*} msg
+   */
+  zeromqSendMessage(msg) {
+    // Add jobs
+    this.queue.add('zeromqSendMessage', { message: msg } );
+  }
+}
+
+/**
+ * Generate unique session ID
+ */
+function generateId() {
+  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+module.exports = ZmqServer;